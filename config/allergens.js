@@ -0,0 +1,34 @@
+// Canonical allergens (the major food allergens). Products store the keys;
+// the admin product form and the catalog filters both read this list.
+export const ALLERGENS = [
+  { key: 'wheat', label: 'Wheat' },
+  { key: 'eggs', label: 'Eggs' },
+  { key: 'dairy', label: 'Dairy (milk)' },
+  { key: 'peanuts', label: 'Peanuts' },
+  { key: 'tree nuts', label: 'Tree nuts' },
+  { key: 'soy', label: 'Soy' },
+  { key: 'sesame', label: 'Sesame' },
+  { key: 'fish', label: 'Fish' },
+  { key: 'shellfish', label: 'Shellfish' },
+];
+
+export const ALLERGEN_KEYS = ALLERGENS.map(allergen => allergen.key);
+
+// Other ways people write the same allergen
+const ALIASES = {
+  milk: 'dairy',
+  egg: 'eggs',
+  peanut: 'peanuts',
+  nuts: 'tree nuts',
+  'tree nut': 'tree nuts',
+  soya: 'soy',
+};
+
+// Canonical key for an allergen name ('Tree_Nuts' -> 'tree nuts'), or null if unknown
+export const normalizeAllergen = (name) => {
+  const key = String(name).trim().toLowerCase().replace(/[_-]+/g, ' ');
+  const canonical = ALIASES[key] || key;
+  return ALLERGEN_KEYS.includes(canonical) ? canonical : null;
+};
+
+export default ALLERGENS;
@@ -4,6 +4,9 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Enable trigram matching (typo-tolerant product search)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- =====================================================
 -- USERS TABLE (Admin/Staff accounts)
 -- =====================================================
@@ -33,6 +36,13 @@ CREATE TABLE IF NOT EXISTS categories (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- When the category's products can be ordered (NULL = always). See availability_allows below.
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS availability JSONB;
+
+-- Subcategories (e.g. Cakes > Birthday). A category with children can only be
+-- deleted once they have been moved or deleted - see DELETE /api/categories/:id.
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT;
+
 -- =====================================================
 -- PRODUCTS TABLE
 -- =====================================================
@@ -42,7 +52,7 @@ CREATE TABLE IF NOT EXISTS products (
     slug VARCHAR(255) UNIQUE NOT NULL,
     description TEXT,
     price DECIMAL(10, 2) NOT NULL,
-    category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+    category_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
     images TEXT[], -- Array of image URLs
     featured BOOLEAN DEFAULT false,
     active BOOLEAN DEFAULT true,
@@ -54,6 +64,150 @@ CREATE TABLE IF NOT EXISTS products (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Products have to be moved or unassigned before their category is deleted
+-- (databases created before this used ON DELETE SET NULL). The constraint is
+-- only replaced when it isn't RESTRICT yet, so re-runs don't rescan products.
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conrelid = 'products'::regclass
+        AND conname = 'products_category_id_fkey'
+        AND confdeltype = 'r'
+    ) THEN
+        ALTER TABLE products DROP CONSTRAINT IF EXISTS products_category_id_fkey;
+        ALTER TABLE products ADD CONSTRAINT products_category_id_fkey FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE RESTRICT;
+    END IF;
+END $$;
+
+-- Stock is only tracked when stock_quantity is set (NULL = unlimited)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS stock_quantity INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS daily_par INTEGER; -- Stock level to bake up to each day
+
+-- What one unit costs to make: entered by hand, or worked out from the recipe
+ALTER TABLE products ADD COLUMN IF NOT EXISTS cost DECIMAL(10, 2);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS cost_source VARCHAR(10) DEFAULT 'manual' CHECK (cost_source IN ('manual', 'recipe'));
+
+-- When the product can be ordered (NULL = always). Applies on top of its category's rules.
+ALTER TABLE products ADD COLUMN IF NOT EXISTS availability JSONB;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] DEFAULT '{}'; -- e.g. {vegan, gluten_free}
+-- Full-text search document, kept up to date by triggers (see product_search_vector)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- =====================================================
+-- PRODUCT_CATEGORIES TABLE (Every category a product is listed in, in its order there)
+-- =====================================================
+-- products.category_id is the primary category (breadcrumbs, reports) and is
+-- always one of these - see add_primary_category_membership below
+CREATE TABLE IF NOT EXISTS product_categories (
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+    display_order INTEGER DEFAULT 0, -- Position within the category
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (product_id, category_id)
+);
+
+-- =====================================================
+-- DIETARY_TAGS TABLE (Managed vocabulary for products.dietary_tags)
+-- =====================================================
+-- Products store the slug, so it can't be changed once created
+CREATE TABLE IF NOT EXISTS dietary_tags (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(50) UNIQUE NOT NULL, -- e.g. 'gluten_free'
+    name VARCHAR(100) NOT NULL, -- e.g. 'Gluten-free'
+    description TEXT,
+    display_order INTEGER DEFAULT 0,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- PRODUCT_VARIANTS TABLE (Sizes, flavors, pack sizes of a product)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL, -- e.g. '10" Chocolate', 'Dozen'
+    options JSONB DEFAULT '{}', -- { size: '10"', flavor: 'Chocolate' }
+    price DECIMAL(10, 2) NOT NULL,
+    sku VARCHAR(100) UNIQUE,
+    active BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A variant with its own stock_quantity is tracked separately from its product
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS stock_quantity INTEGER;
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS daily_par INTEGER;
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS cost DECIMAL(10, 2); -- Overrides the product's manual cost
+
+-- =====================================================
+-- MODIFIER_GROUPS TABLE (Customer choices on a product: frosting, add-ons, inscription)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS modifier_groups (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'single' CHECK (type IN ('single', 'multi', 'text')),
+    required BOOLEAN DEFAULT false,
+    min_selections INTEGER DEFAULT 0, -- multi only
+    max_selections INTEGER, -- multi only, NULL = no limit
+    max_length INTEGER, -- text only
+    price_delta DECIMAL(10, 2) DEFAULT 0, -- text only, charged when text is entered
+    active BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- MODIFIER_OPTIONS TABLE (Choices within a single/multi modifier group)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS modifier_options (
+    id SERIAL PRIMARY KEY,
+    group_id INTEGER NOT NULL REFERENCES modifier_groups(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    price_delta DECIMAL(10, 2) DEFAULT 0, -- Added to the item's unit price
+    active BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- INGREDIENTS TABLE (Ingredient catalog and on-hand stock)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS ingredients (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) UNIQUE NOT NULL,
+    label_name VARCHAR(255), -- How it reads on a label, e.g. 'Enriched Wheat Flour'
+    unit VARCHAR(20) NOT NULL DEFAULT 'g' CHECK (unit IN ('g', 'kg', 'oz', 'lb', 'ml', 'l', 'each')),
+    grams_per_unit DECIMAL(10, 3), -- Weight of one 'each' item, for ordering label ingredients
+    on_hand DECIMAL(12, 3) DEFAULT 0,
+    reorder_point DECIMAL(12, 3), -- Shows on the shopping list at or below this
+    reorder_quantity DECIMAL(12, 3), -- Usual amount to buy
+    cost_per_unit DECIMAL(10, 4),
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- RECIPE_LINES TABLE (Bill of materials for one unit of a product)
+-- =====================================================
+-- Lines with a variant_id replace the product's lines for that variant
+CREATE TABLE IF NOT EXISTS recipe_lines (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE RESTRICT,
+    quantity DECIMAL(12, 3) NOT NULL CHECK (quantity > 0), -- In the ingredient's unit
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =====================================================
 -- SPECIALS TABLE (Deals & Discounts)
 -- =====================================================
@@ -61,7 +215,7 @@ CREATE TABLE IF NOT EXISTS specials (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     description TEXT,
-    type VARCHAR(50) NOT NULL CHECK (type IN ('discount_percentage', 'bundle_discount', 'buy_x_get_y', 'fixed_price')),
+    type VARCHAR(50) NOT NULL CHECK (type IN ('discount_percentage', 'bundle_discount', 'buy_x_get_y', 'fixed_price', 'quantity_break', 'spend_tier')),
     value JSONB NOT NULL, -- For percentage: number, for buy_x_get_y: { buyQuantity, getQuantity }
     product_ids INTEGER[], -- Specific products this applies to
     category_ids INTEGER[], -- Categories this applies to
@@ -77,6 +231,22 @@ CREATE TABLE IF NOT EXISTS specials (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- How many times one customer can use the code (NULL = no limit). used_count
+-- is kept in step with special_redemptions.
+ALTER TABLE specials ADD COLUMN IF NOT EXISTS max_uses_per_customer INTEGER CHECK (max_uses_per_customer > 0);
+
+-- Auto-applied specials need no code - every qualifying cart gets them.
+-- stacking says what a special can be combined with: exclusive (nothing),
+-- stackable (any other non-exclusive special) or best_of (stackable specials,
+-- plus only the best of the best_of ones).
+ALTER TABLE specials ADD COLUMN IF NOT EXISTS auto_apply BOOLEAN DEFAULT false;
+ALTER TABLE specials ADD COLUMN IF NOT EXISTS stacking VARCHAR(20) DEFAULT 'exclusive' CHECK (stacking IN ('exclusive', 'stackable', 'best_of'));
+
+-- Quantity breaks and spend tiers (databases created before them only allow
+-- the original four types)
+ALTER TABLE specials DROP CONSTRAINT IF EXISTS specials_type_check;
+ALTER TABLE specials ADD CONSTRAINT specials_type_check CHECK (type IN ('discount_percentage', 'bundle_discount', 'buy_x_get_y', 'fixed_price', 'quantity_break', 'spend_tier'));
+
 -- =====================================================
 -- PROMOTIONS TABLE (Marketing banners/content)
 -- =====================================================
@@ -129,6 +299,23 @@ CREATE TABLE IF NOT EXISTS settings (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- =====================================================
+-- HOURS_EXCEPTIONS TABLE (Holiday closures and special hours)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS hours_exceptions (
+    id SERIAL PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    closed BOOLEAN DEFAULT true,
+    open_time TIME, -- Override hours when not closed
+    close_time TIME,
+    message TEXT, -- Shown to customers, e.g. "Closed for Christmas"
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date),
+    CHECK (closed OR (open_time IS NOT NULL AND close_time IS NOT NULL AND close_time > open_time))
+);
+
 -- =====================================================
 -- CUSTOMERS TABLE (Customer accounts for website users)
 -- =====================================================
@@ -168,6 +355,17 @@ CREATE TABLE IF NOT EXISTS orders (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Columns added after launch (ADD COLUMN IF NOT EXISTS keeps this file re-runnable)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_fee DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_total DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_time TIMESTAMP WITH TIME ZONE; -- Requested delivery date/time
+-- Promo code the discount came from
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS special_id INTEGER REFERENCES specials(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_code VARCHAR(50);
+-- The promo code's own share of the discount (automatic specials make up the rest)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_discount DECIMAL(10, 2) DEFAULT 0;
+
 -- =====================================================
 -- ORDER_ITEMS TABLE (Items within an order)
 -- =====================================================
@@ -182,21 +380,223 @@ CREATE TABLE IF NOT EXISTS order_items (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- The variant bought, copied at order time so it survives later edits
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_name VARCHAR(255);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku VARCHAR(100);
+
+-- The line's share of the order discount and tax, used for refunds. NULL on
+-- orders from before they were stored per line.
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10, 2);
+
+-- =====================================================
+-- ORDER_ITEM_MODIFIERS TABLE (Modifiers chosen for an order item)
+-- =====================================================
+-- Names and prices are copied so the order reads the same after the menu changes
+CREATE TABLE IF NOT EXISTS order_item_modifiers (
+    id SERIAL PRIMARY KEY,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    group_id INTEGER REFERENCES modifier_groups(id) ON DELETE SET NULL,
+    option_id INTEGER REFERENCES modifier_options(id) ON DELETE SET NULL,
+    group_name VARCHAR(255) NOT NULL,
+    option_name VARCHAR(255), -- NULL for text modifiers
+    text_value TEXT, -- Text modifiers, e.g. the cake inscription
+    price_delta DECIMAL(10, 2) DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- CHECKOUT_SESSIONS TABLE (Stripe Checkout Sessions waiting on payment)
+-- =====================================================
+-- The row is written before its Stripe session exists, and linked once it does.
+-- A pickup checkout holds its slot until the session expires or becomes an order.
+CREATE TABLE IF NOT EXISTS checkout_sessions (
+    id SERIAL PRIMARY KEY,
+    stripe_session_id VARCHAR(255) UNIQUE,
+    pickup_time TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stripe metadata values are capped at 500 characters, too small for a cart,
+-- so the priced lines are kept here until the order is created
+ALTER TABLE checkout_sessions ADD COLUMN IF NOT EXISTS items JSONB;
+
+-- =====================================================
+-- ORDER_STATUS_HISTORY TABLE (Every status change on an order)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    from_status VARCHAR(50), -- NULL when the order was created
+    to_status VARCHAR(50) NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(20) DEFAULT 'admin' CHECK (source IN ('admin', 'system', 'stripe')),
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- REFUNDS TABLE (Full and partial refunds against an order)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER REFERENCES orders(id) ON DELETE CASCADE,
+    stripe_refund_id VARCHAR(255) UNIQUE,
+    amount DECIMAL(10, 2) NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'requires_action', 'succeeded', 'failed', 'canceled')),
+    source VARCHAR(20) DEFAULT 'admin' CHECK (source IN ('admin', 'stripe')), -- stripe = issued from the Stripe dashboard
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- REFUND_ITEMS TABLE (Order lines covered by a refund)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS refund_items (
+    id SERIAL PRIMARY KEY,
+    refund_id INTEGER REFERENCES refunds(id) ON DELETE CASCADE,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL
+);
+
+-- =====================================================
+-- SPECIAL_REDEMPTIONS TABLE (Each use of a promo code by a confirmed order)
+-- =====================================================
+-- Written when the order is confirmed and voided (not deleted) when it is
+-- cancelled or fully refunded. Only unvoided rows count towards the limits.
+CREATE TABLE IF NOT EXISTS special_redemptions (
+    id SERIAL PRIMARY KEY,
+    special_id INTEGER REFERENCES specials(id) ON DELETE SET NULL,
+    order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL, -- As entered, kept if the special is deleted
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    customer_email VARCHAR(255),
+    discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+    redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    voided_at TIMESTAMP WITH TIME ZONE,
+    void_reason TEXT
+);
+
+-- =====================================================
+-- PROMO CODES TABLE (Generated single-use codes for a special)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS promo_codes (
+    id SERIAL PRIMARY KEY,
+    special_id INTEGER NOT NULL REFERENCES specials(id) ON DELETE CASCADE,
+    code VARCHAR(50) NOT NULL UNIQUE,
+    batch VARCHAR(100), -- Label for the run it was generated in, e.g. 'spring-flyer'
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    voided_at TIMESTAMP WITH TIME ZONE,
+    void_reason TEXT
+);
+
+-- The generated code an order used. A code is redeemed while it has an
+-- unvoided redemption, so a cancelled order frees it up again.
+ALTER TABLE special_redemptions ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL;
+
+-- A checkout holds the generated code it uses until the session expires or
+-- becomes an order, so two customers can't pay with the same code
+ALTER TABLE checkout_sessions ADD COLUMN IF NOT EXISTS promo_code_id INTEGER REFERENCES promo_codes(id) ON DELETE SET NULL;
+
+-- =====================================================
+-- WEBHOOK_EVENTS TABLE (Audit trail of received webhooks)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(50) DEFAULT 'stripe',
+    event_id VARCHAR(255) UNIQUE NOT NULL, -- Provider's event id (evt_...)
+    type VARCHAR(255) NOT NULL,
+    payload JSONB NOT NULL, -- Full verified event body
+    status VARCHAR(20) DEFAULT 'received' CHECK (status IN ('received', 'processed', 'ignored', 'failed')),
+    error TEXT, -- Last processing error
+    attempts INTEGER DEFAULT 0,
+    processed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- INVENTORY_MOVEMENTS TABLE (Ledger of every stock change)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS inventory_movements (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    order_item_id INTEGER REFERENCES order_items(id) ON DELETE SET NULL,
+    quantity_change INTEGER NOT NULL, -- Negative when stock goes out
+    stock_after INTEGER,
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('sale', 'cancellation', 'refund', 'adjustment', 'par_reset')),
+    note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- INGREDIENT_MOVEMENTS TABLE (Ledger of every ingredient stock change)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS ingredient_movements (
+    id SERIAL PRIMARY KEY,
+    ingredient_id INTEGER NOT NULL REFERENCES ingredients(id) ON DELETE CASCADE,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    quantity_change DECIMAL(12, 3) NOT NULL, -- Negative when stock is used
+    on_hand_after DECIMAL(12, 3),
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('usage', 'cancellation', 'purchase', 'adjustment')),
+    note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =====================================================
+-- PRODUCT_PRICE_HISTORY TABLE (Every list price a product or variant has had)
+-- =====================================================
+-- The row with effective_to NULL is the current price
+CREATE TABLE IF NOT EXISTS product_price_history (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    price DECIMAL(10, 2) NOT NULL,
+    previous_price DECIMAL(10, 2),
+    effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    effective_to TIMESTAMP WITH TIME ZONE,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =====================================================
 -- INDEXES for better query performance
 -- =====================================================
 CREATE INDEX IF NOT EXISTS idx_products_category ON products(category_id);
 CREATE INDEX IF NOT EXISTS idx_products_active ON products(active);
 CREATE INDEX IF NOT EXISTS idx_products_featured ON products(featured);
+CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN(name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_allergens ON products USING GIN(allergens);
+CREATE INDEX IF NOT EXISTS idx_products_dietary_tags ON products USING GIN(dietary_tags);
 CREATE INDEX IF NOT EXISTS idx_products_slug ON products(slug);
 
 CREATE INDEX IF NOT EXISTS idx_categories_active ON categories(active);
 CREATE INDEX IF NOT EXISTS idx_categories_slug ON categories(slug);
 CREATE INDEX IF NOT EXISTS idx_categories_order ON categories(display_order);
+CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_product_categories_category ON product_categories(category_id, display_order);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id);
+CREATE INDEX IF NOT EXISTS idx_modifier_groups_product ON modifier_groups(product_id);
+CREATE INDEX IF NOT EXISTS idx_modifier_options_group ON modifier_options(group_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_lines_product ON recipe_lines(product_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recipe_lines_unique ON recipe_lines(product_id, COALESCE(variant_id, 0), ingredient_id);
 
 CREATE INDEX IF NOT EXISTS idx_specials_active ON specials(active);
 CREATE INDEX IF NOT EXISTS idx_specials_dates ON specials(start_date, end_date);
 CREATE INDEX IF NOT EXISTS idx_specials_code ON specials(code);
+CREATE INDEX IF NOT EXISTS idx_specials_auto_apply ON specials(auto_apply) WHERE auto_apply = true;
 
 CREATE INDEX IF NOT EXISTS idx_promotions_active ON promotions(active);
 CREATE INDEX IF NOT EXISTS idx_promotions_dates ON promotions(start_date, end_date);
@@ -205,15 +605,124 @@ CREATE INDEX IF NOT EXISTS idx_promotions_location ON promotions(display_locatio
 CREATE INDEX IF NOT EXISTS idx_banners_active ON banners(active);
 CREATE INDEX IF NOT EXISTS idx_banners_dates ON banners(start_date, end_date);
 
+CREATE INDEX IF NOT EXISTS idx_hours_exceptions_dates ON hours_exceptions(start_date, end_date);
+
 CREATE INDEX IF NOT EXISTS idx_customers_email ON customers(email);
 CREATE INDEX IF NOT EXISTS idx_customers_active ON customers(active);
 
 CREATE INDEX IF NOT EXISTS idx_orders_customer ON orders(customer_id);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_orders_number ON orders(order_number);
-CREATE INDEX IF NOT EXISTS idx_orders_stripe_session ON orders(stripe_session_id);
+CREATE INDEX IF NOT EXISTS idx_orders_pickup_time ON orders(pickup_time);
+CREATE INDEX IF NOT EXISTS idx_orders_delivery_time ON orders(delivery_time);
+-- Unique so a Stripe session can only ever produce one order (webhook and confirm-order race)
+DROP INDEX IF EXISTS idx_orders_stripe_session;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_stripe_session_unique ON orders(stripe_session_id);
 
 CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_variant ON order_items(variant_id);
+CREATE INDEX IF NOT EXISTS idx_order_item_modifiers_item ON order_item_modifiers(order_item_id);
+
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refund_items_refund ON refund_items(refund_id);
+CREATE INDEX IF NOT EXISTS idx_refund_items_order_item ON refund_items(order_item_id);
+
+CREATE INDEX IF NOT EXISTS idx_special_redemptions_special ON special_redemptions(special_id) WHERE voided_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_special_redemptions_customer ON special_redemptions(customer_id);
+CREATE INDEX IF NOT EXISTS idx_special_redemptions_email ON special_redemptions(LOWER(customer_email));
+-- A generated code can only have one live redemption
+DROP INDEX IF EXISTS idx_special_redemptions_promo_code;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_special_redemptions_promo_code_unique ON special_redemptions(promo_code_id) WHERE voided_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_checkout_sessions_pickup ON checkout_sessions(pickup_time) WHERE pickup_time IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_checkout_sessions_promo_code ON checkout_sessions(promo_code_id) WHERE promo_code_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_promo_codes_special ON promo_codes(special_id, batch);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_type ON webhook_events(type);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_variant ON inventory_movements(variant_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_order_item ON inventory_movements(order_item_id);
+
+CREATE INDEX IF NOT EXISTS idx_ingredient_movements_ingredient ON ingredient_movements(ingredient_id);
+CREATE INDEX IF NOT EXISTS idx_ingredient_movements_order ON ingredient_movements(order_id);
+
+CREATE INDEX IF NOT EXISTS idx_price_history_item ON product_price_history(product_id, variant_id, effective_from);
+
+-- =====================================================
+-- FUNCTION: Whether availability rules allow a date and time
+-- =====================================================
+-- rules: { start_date, end_date, days: ['saturday', ...], start_time, end_time,
+--          preorder_only, lead_days }. Pass a NULL time to check the date only.
+-- Pre-order lead time depends on today's date, so it is checked in the app.
+CREATE OR REPLACE FUNCTION availability_allows(rules JSONB, on_date DATE, at_time TIME)
+RETURNS BOOLEAN AS $$
+    SELECT rules IS NULL OR (
+        (rules->>'start_date' IS NULL OR on_date >= (rules->>'start_date')::date)
+        AND (rules->>'end_date' IS NULL OR on_date <= (rules->>'end_date')::date)
+        AND (COALESCE(jsonb_array_length(rules->'days'), 0) = 0 OR rules->'days' ? to_char(on_date, 'FMday'))
+        AND (at_time IS NULL OR rules->>'start_time' IS NULL OR at_time >= (rules->>'start_time')::time)
+        AND (at_time IS NULL OR rules->>'end_time' IS NULL OR at_time < (rules->>'end_time')::time)
+    )
+$$ LANGUAGE SQL IMMUTABLE;
+
+-- =====================================================
+-- FUNCTION: Product search document
+-- =====================================================
+-- Name matches rank highest, then category, description and ingredients
+CREATE OR REPLACE FUNCTION product_search_vector(name TEXT, description TEXT, ingredients TEXT, category_name TEXT)
+RETURNS TSVECTOR AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(name, '')), 'A')
+        || setweight(to_tsvector('english', COALESCE(category_name, '')), 'B')
+        || setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+        || setweight(to_tsvector('english', COALESCE(ingredients, '')), 'D')
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION update_product_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector = product_search_vector(
+        NEW.name, NEW.description, NEW.ingredients,
+        (SELECT name FROM categories WHERE id = NEW.category_id)
+    );
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Renaming a category re-indexes its products
+CREATE OR REPLACE FUNCTION update_category_products_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE products
+    SET search_vector = product_search_vector(name, description, ingredients, NEW.name)
+    WHERE category_id = NEW.id;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- =====================================================
+-- FUNCTION: Primary category membership
+-- =====================================================
+-- A product's primary category is always one of its categories; it goes to
+-- the end of that category's manual order
+CREATE OR REPLACE FUNCTION add_primary_category_membership()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.category_id IS NOT NULL THEN
+        INSERT INTO product_categories (product_id, category_id, display_order)
+        VALUES (
+            NEW.id, NEW.category_id,
+            (SELECT COALESCE(MAX(display_order), 0) + 1 FROM product_categories WHERE category_id = NEW.category_id)
+        )
+        ON CONFLICT (product_id, category_id) DO NOTHING;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
 
 -- =====================================================
 -- TRIGGER: Auto-update updated_at timestamp
@@ -236,6 +745,21 @@ CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON categories FOR EACH
 DROP TRIGGER IF EXISTS update_products_updated_at ON products;
 CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_dietary_tags_updated_at ON dietary_tags;
+CREATE TRIGGER update_dietary_tags_updated_at BEFORE UPDATE ON dietary_tags FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_product_variants_updated_at ON product_variants;
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_modifier_groups_updated_at ON modifier_groups;
+CREATE TRIGGER update_modifier_groups_updated_at BEFORE UPDATE ON modifier_groups FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_modifier_options_updated_at ON modifier_options;
+CREATE TRIGGER update_modifier_options_updated_at BEFORE UPDATE ON modifier_options FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_ingredients_updated_at ON ingredients;
+CREATE TRIGGER update_ingredients_updated_at BEFORE UPDATE ON ingredients FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_specials_updated_at ON specials;
 CREATE TRIGGER update_specials_updated_at BEFORE UPDATE ON specials FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -245,12 +769,103 @@ CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions FOR EACH
 DROP TRIGGER IF EXISTS update_banners_updated_at ON banners;
 CREATE TRIGGER update_banners_updated_at BEFORE UPDATE ON banners FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_hours_exceptions_updated_at ON hours_exceptions;
+CREATE TRIGGER update_hours_exceptions_updated_at BEFORE UPDATE ON hours_exceptions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_customers_updated_at ON customers;
 CREATE TRIGGER update_customers_updated_at BEFORE UPDATE ON customers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 DROP TRIGGER IF EXISTS update_orders_updated_at ON orders;
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_refunds_updated_at ON refunds;
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhook_events_updated_at ON webhook_events;
+CREATE TRIGGER update_webhook_events_updated_at BEFORE UPDATE ON webhook_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Keep product search documents current
+DROP TRIGGER IF EXISTS update_products_search_vector ON products;
+CREATE TRIGGER update_products_search_vector BEFORE INSERT OR UPDATE OF name, description, ingredients, category_id ON products FOR EACH ROW EXECUTE FUNCTION update_product_search_vector();
+
+DROP TRIGGER IF EXISTS update_categories_search_vector ON categories;
+CREATE TRIGGER update_categories_search_vector AFTER UPDATE OF name ON categories FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name) EXECUTE FUNCTION update_category_products_search_vector();
+
+DROP TRIGGER IF EXISTS add_products_primary_category ON products;
+CREATE TRIGGER add_products_primary_category AFTER INSERT OR UPDATE OF category_id ON products FOR EACH ROW EXECUTE FUNCTION add_primary_category_membership();
+
+-- =====================================================
+-- BACKFILL: Search documents for products saved before search_vector existed
+-- =====================================================
+UPDATE products p
+SET search_vector = product_search_vector(p.name, p.description, p.ingredients, (SELECT name FROM categories c WHERE c.id = p.category_id))
+WHERE p.search_vector IS NULL;
+
+-- =====================================================
+-- BACKFILL: Opening price history for products and variants that have none
+-- =====================================================
+INSERT INTO product_price_history (product_id, variant_id, price, effective_from)
+SELECT p.id, NULL, p.price, p.created_at
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM product_price_history h WHERE h.product_id = p.id AND h.variant_id IS NULL);
+
+INSERT INTO product_price_history (product_id, variant_id, price, effective_from)
+SELECT v.product_id, v.id, v.price, v.created_at
+FROM product_variants v
+WHERE NOT EXISTS (SELECT 1 FROM product_price_history h WHERE h.variant_id = v.id);
+
+-- =====================================================
+-- BACKFILL: Category memberships from products.category_id, newest last
+-- =====================================================
+INSERT INTO product_categories (product_id, category_id, display_order)
+SELECT p.id, p.category_id, ROW_NUMBER() OVER (PARTITION BY p.category_id ORDER BY p.created_at, p.id)
+FROM products p
+WHERE p.category_id IS NOT NULL
+ON CONFLICT (product_id, category_id) DO NOTHING;
+
+-- =====================================================
+-- BACKFILL: Allergens saved before they were normalized ('Peanut' -> 'peanuts').
+-- Mirrors normalizeAllergen in config/allergens.js; unknown names are kept as is.
+-- =====================================================
+UPDATE products p
+SET allergens = normalized.allergens
+FROM (
+  SELECT p.id, ARRAY(
+    SELECT name FROM (
+      SELECT DISTINCT ON (name) name, position
+      FROM (
+        SELECT CASE WHEN canonical IN ('wheat', 'eggs', 'dairy', 'peanuts', 'tree nuts', 'soy', 'sesame', 'fish', 'shellfish')
+                    THEN canonical ELSE original END as name,
+               position
+        FROM unnest(p.allergens) WITH ORDINALITY a(original, position),
+        LATERAL (SELECT regexp_replace(lower(trim(original)), '[_-]+', ' ', 'g') as key) k,
+        LATERAL (SELECT CASE k.key
+                          WHEN 'milk' THEN 'dairy'
+                          WHEN 'egg' THEN 'eggs'
+                          WHEN 'peanut' THEN 'peanuts'
+                          WHEN 'nuts' THEN 'tree nuts'
+                          WHEN 'tree nut' THEN 'tree nuts'
+                          WHEN 'soya' THEN 'soy'
+                          ELSE k.key
+                        END as canonical) c
+      ) names
+      ORDER BY name, position
+    ) firsts
+    ORDER BY position
+  ) as allergens
+  FROM products p
+  WHERE p.allergens IS NOT NULL
+) normalized
+WHERE p.id = normalized.id
+AND p.allergens IS DISTINCT FROM normalized.allergens;
+
+-- =====================================================
+-- BACKFILL: Promo code use counts from the redemption ledger
+-- =====================================================
+UPDATE specials s
+SET used_count = (SELECT COUNT(*) FROM special_redemptions r WHERE r.special_id = s.id AND r.voided_at IS NULL)
+WHERE s.used_count IS DISTINCT FROM (SELECT COUNT(*) FROM special_redemptions r WHERE r.special_id = s.id AND r.voided_at IS NULL);
+
 -- =====================================================
 -- SEED DATA: Default admin user (password: admin123)
 -- =====================================================
@@ -271,3 +886,15 @@ INSERT INTO categories (name, slug, description, display_order, active) VALUES
 ('Breads', 'breads', 'Artisan breads baked with love', 5, true),
 ('Seasonal', 'seasonal', 'Limited time seasonal specials', 6, true)
 ON CONFLICT (slug) DO NOTHING;
+
+-- =====================================================
+-- SEED DATA: Dietary tags
+-- =====================================================
+INSERT INTO dietary_tags (slug, name, display_order) VALUES
+('vegetarian', 'Vegetarian', 1),
+('vegan', 'Vegan', 2),
+('gluten_free', 'Gluten-free', 3),
+('dairy_free', 'Dairy-free', 4),
+('nut_free', 'Nut-free', 5),
+('sugar_free', 'No added sugar', 6)
+ON CONFLICT (slug) DO NOTHING;
@@ -0,0 +1,6 @@
+import Stripe from 'stripe';
+
+// Shared Stripe client used by checkout, webhooks and refunds
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+export default stripe;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { ALLERGENS } from '../config/allergens.js';
+
+const router = express.Router();
+
+// Get the canonical allergen list (public)
+router.get('/', (req, res) => {
+  res.json({ allergens: ALLERGENS });
+});
+
+export default router;
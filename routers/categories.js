@@ -1,9 +1,11 @@
 import express from 'express';
-import { query } from '../config/database.js';
+import { query, getClient } from '../config/database.js';
 import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { uploadSingle, handleUploadError } from '../middleware/upload.js';
 import { uploadToS3, deleteFromS3, extractKeyFromUrl } from '../config/s3.js';
+import { validateAvailability } from '../services/availability.js';
+import { getCategoryTree, getBreadcrumbs, getDescendantIds, validateParent } from '../services/categories.js';
 
 const router = express.Router();
 
@@ -40,7 +42,9 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   if (withProducts === 'true') {
     for (const category of result.rows) {
       const countResult = await query(
-        'SELECT COUNT(*) FROM products WHERE category_id = $1 AND active = true',
+        `SELECT COUNT(*) FROM products p
+         JOIN product_categories pc ON pc.product_id = p.id
+         WHERE pc.category_id = $1 AND p.active = true`,
         [category.id]
       );
       category.product_count = parseInt(countResult.rows[0].count);
@@ -50,6 +54,14 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   res.json({ categories: result.rows });
 }));
 
+// Get categories as a nested tree with product counts (public)
+router.get('/tree', optionalAuth, asyncHandler(async (req, res) => {
+  const isStaff = req.user && ['admin', 'staff', 'baker'].includes(req.user.role);
+  const categories = await getCategoryTree({ includeInactive: isStaff && req.query.active !== 'true' });
+
+  res.json({ categories });
+}));
+
 // Get single category by ID or slug (public)
 router.get('/:idOrSlug', optionalAuth, asyncHandler(async (req, res) => {
   const { idOrSlug } = req.params;
@@ -69,10 +81,24 @@ router.get('/:idOrSlug', optionalAuth, asyncHandler(async (req, res) => {
 
   const category = result.rows[0];
 
-  // Optionally include products
+  category.breadcrumbs = await getBreadcrumbs(category.id);
+
+  const childrenResult = await query(
+    `SELECT * FROM categories WHERE parent_id = $1
+     ${!req.user || !['admin', 'staff', 'baker'].includes(req.user.role) ? 'AND active = true' : ''}
+     ORDER BY display_order ASC, name ASC`,
+    [category.id]
+  );
+  category.children = childrenResult.rows;
+
+  // Optionally include products, in the category's manual order
   if (withProducts === 'true') {
     const productsResult = await query(
-      'SELECT * FROM products WHERE category_id = $1 AND active = true ORDER BY name ASC',
+      `SELECT p.*, pc.display_order as category_display_order
+       FROM products p
+       JOIN product_categories pc ON pc.product_id = p.id
+       WHERE pc.category_id = $1 AND p.active = true
+       ORDER BY pc.display_order ASC, p.name ASC`,
       [category.id]
     );
     category.products = productsResult.rows;
@@ -83,12 +109,14 @@ router.get('/:idOrSlug', optionalAuth, asyncHandler(async (req, res) => {
 
 // Create category (admin/staff only)
 router.post('/', authenticate, authorize('admin', 'staff'), uploadSingle, handleUploadError, asyncHandler(async (req, res) => {
-  const { name, description, display_order = 0, active = true } = req.body;
+  const { name, description, display_order = 0, active = true, parent_id } = req.body;
 
   if (!name) {
     throw new AppError('Name is required', 400);
   }
 
+  const parentId = await validateParent(null, parent_id);
+
   // Generate slug
   let slug = generateSlug(name);
 
@@ -106,10 +134,10 @@ router.post('/', authenticate, authorize('admin', 'staff'), uploadSingle, handle
   }
 
   const result = await query(
-    `INSERT INTO categories (name, slug, description, image, display_order, active)
-     VALUES ($1, $2, $3, $4, $5, $6)
+    `INSERT INTO categories (name, slug, description, image, display_order, active, availability, parent_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
      RETURNING *`,
-    [name, slug, description, imageUrl, parseInt(display_order), active === 'true' || active === true]
+    [name, slug, description, imageUrl, parseInt(display_order), active === 'true' || active === true, validateAvailability(req.body.availability), parentId]
   );
 
   res.status(201).json({
@@ -121,7 +149,7 @@ router.post('/', authenticate, authorize('admin', 'staff'), uploadSingle, handle
 // Update category (admin/staff only)
 router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, handleUploadError, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, description, display_order, active, removeImage } = req.body;
+  const { name, description, display_order, active, removeImage, parent_id } = req.body;
 
   // Check if category exists
   const existing = await query('SELECT * FROM categories WHERE id = $1', [id]);
@@ -205,6 +233,20 @@ router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, hand
     paramCount++;
   }
 
+  // Applies to every product in the category; null = always available
+  if (req.body.availability !== undefined) {
+    updates.push(`availability = $${paramCount}`);
+    values.push(validateAvailability(req.body.availability));
+    paramCount++;
+  }
+
+  // Move under another category (null/empty = top level)
+  if (parent_id !== undefined) {
+    updates.push(`parent_id = $${paramCount}`);
+    values.push(await validateParent(category.id, parent_id));
+    paramCount++;
+  }
+
   if (updates.length === 0) {
     throw new AppError('No updates provided', 400);
   }
@@ -222,33 +264,220 @@ router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, hand
   });
 }));
 
-// Delete category (admin only)
+// Delete category (admin only). If it has subcategories or products, the
+// request has to say what happens to them:
+//   children=reparent  move subcategories up to this category's parent
+//   children=delete    delete subcategories too (their products follow `products`)
+//   products=move      move products to moveProductsTo (default: the parent)
+//   products=unassign  drop the category from its products; products whose
+//                      primary category it was fall back to another of
+//                      their categories, or none
 router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const children = req.body?.children ?? req.query.children;
+  const products = req.body?.products ?? req.query.products;
+  const moveProductsTo = req.body?.moveProductsTo ?? req.query.moveProductsTo;
+
+  if (children !== undefined && !['reparent', 'delete'].includes(children)) {
+    throw new AppError('children must be reparent or delete', 400);
+  }
+  if (products !== undefined && !['move', 'unassign'].includes(products)) {
+    throw new AppError('products must be move or unassign', 400);
+  }
 
-  // Get category to delete image
-  const existing = await query('SELECT image FROM categories WHERE id = $1', [id]);
+  const existing = await query('SELECT * FROM categories WHERE id::text = $1', [String(id)]);
   if (existing.rows.length === 0) {
     throw new AppError('Category not found', 404);
   }
 
-  // Delete image from S3
   const category = existing.rows[0];
-  if (category.image) {
-    const key = extractKeyFromUrl(category.image);
-    if (key) {
-      try {
-        await deleteFromS3(key);
-      } catch (err) {
-        console.error('Failed to delete image from S3:', err);
+
+  const childCount = parseInt((await query(
+    'SELECT COUNT(*) FROM categories WHERE parent_id = $1',
+    [category.id]
+  )).rows[0].count);
+
+  if (childCount > 0 && !children) {
+    throw new AppError(
+      `This category has ${childCount} subcategor${childCount === 1 ? 'y' : 'ies'}. Choose children=reparent or children=delete.`,
+      400
+    );
+  }
+
+  // Categories that will go: just this one, or its whole subtree
+  const deletedIds = children === 'delete' ? await getDescendantIds(category.id) : [category.id];
+
+  const productCount = parseInt((await query(
+    'SELECT COUNT(DISTINCT product_id) FROM product_categories WHERE category_id = ANY($1)',
+    [deletedIds]
+  )).rows[0].count);
+
+  if (productCount > 0 && !products) {
+    throw new AppError(
+      `This category has ${productCount} product${productCount === 1 ? '' : 's'}. Choose products=move or products=unassign.`,
+      400
+    );
+  }
+
+  let targetId = null;
+  if (productCount > 0 && products === 'move') {
+    targetId = moveProductsTo ? parseInt(moveProductsTo) : category.parent_id;
+
+    if (!targetId) {
+      throw new AppError('moveProductsTo is required for a top-level category', 400);
+    }
+    if (deletedIds.includes(targetId)) {
+      throw new AppError('Products cannot be moved to a category that is being deleted', 400);
+    }
+
+    const target = await query('SELECT id FROM categories WHERE id = $1', [targetId]);
+    if (target.rows.length === 0) {
+      throw new AppError('Category to move products to not found', 400);
+    }
+  }
+
+  const client = await getClient();
+  let deleted;
+
+  try {
+    await client.query('BEGIN');
+
+    if (targetId) {
+      await client.query(
+        `INSERT INTO product_categories (product_id, category_id, display_order)
+         SELECT product_id, $1,
+                (SELECT COALESCE(MAX(display_order), 0) FROM product_categories WHERE category_id = $1)
+                + ROW_NUMBER() OVER (ORDER BY MIN(display_order), product_id)
+         FROM product_categories
+         WHERE category_id = ANY($2)
+         GROUP BY product_id
+         ON CONFLICT (product_id, category_id) DO NOTHING`,
+        [targetId, deletedIds]
+      );
+    }
+
+    // Memberships of the deleted categories go with them (ON DELETE CASCADE)
+    await client.query(
+      `UPDATE products p
+       SET category_id = COALESCE($1, (
+         SELECT pc.category_id FROM product_categories pc
+         WHERE pc.product_id = p.id AND pc.category_id <> ALL($2)
+         ORDER BY pc.created_at, pc.category_id
+         LIMIT 1
+       ))
+       WHERE p.category_id = ANY($2)`,
+      [targetId, deletedIds]
+    );
+
+    if (children === 'reparent') {
+      await client.query(
+        'UPDATE categories SET parent_id = $1 WHERE parent_id = $2',
+        [category.parent_id, category.id]
+      );
+    }
+
+    deleted = await client.query(
+      'DELETE FROM categories WHERE id = ANY($1) RETURNING id, image',
+      [deletedIds]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Delete images from S3
+  for (const row of deleted.rows) {
+    if (row.image) {
+      const key = extractKeyFromUrl(row.image);
+      if (key) {
+        try {
+          await deleteFromS3(key);
+        } catch (err) {
+          console.error('Failed to delete image from S3:', err);
+        }
       }
     }
   }
 
-  // Delete category (products will have category_id set to NULL due to ON DELETE SET NULL)
-  await query('DELETE FROM categories WHERE id = $1', [id]);
+  res.json({
+    message: 'Category deleted successfully',
+    deletedCategories: deleted.rows.map(row => row.id),
+    productsUpdated: productCount,
+    productsMovedTo: targetId,
+  });
+}));
+
+// Reorder products within a category (admin/staff only)
+router.put('/:id/products/reorder', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { orders } = req.body; // Array of { id (product id), display_order }
+
+  if (!Array.isArray(orders)) {
+    throw new AppError('Orders must be an array', 400);
+  }
 
-  res.json({ message: 'Category deleted successfully' });
+  const existing = await query('SELECT id FROM categories WHERE id::text = $1', [String(id)]);
+  if (existing.rows.length === 0) {
+    throw new AppError('Category not found', 404);
+  }
+
+  const categoryId = existing.rows[0].id;
+
+  // Check every item before anything is changed
+  const items = orders.map(item => ({
+    productId: parseInt(item?.id),
+    displayOrder: parseInt(item?.display_order),
+  }));
+  if (items.some(item => !Number.isInteger(item.productId) || !Number.isInteger(item.displayOrder))) {
+    throw new AppError('Each item needs a product id and a whole-number display_order', 400);
+  }
+
+  const members = await query(
+    'SELECT product_id FROM product_categories WHERE category_id = $1 AND product_id = ANY($2)',
+    [categoryId, items.map(item => item.productId)]
+  );
+  const notInCategory = items.filter(item => !members.rows.some(row => row.product_id === item.productId));
+  if (notInCategory.length > 0) {
+    throw new AppError(`Products not in this category: ${notInCategory.map(item => item.productId).join(', ')}`, 400);
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const item of items) {
+      await client.query(
+        'UPDATE product_categories SET display_order = $1 WHERE category_id = $2 AND product_id = $3',
+        [item.displayOrder, categoryId, item.productId]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const result = await query(
+    `SELECT p.*, pc.display_order as category_display_order
+     FROM products p
+     JOIN product_categories pc ON pc.product_id = p.id
+     WHERE pc.category_id = $1
+     ORDER BY pc.display_order ASC, p.name ASC`,
+    [categoryId]
+  );
+
+  res.json({
+    message: 'Products reordered successfully',
+    products: result.rows,
+  });
 }));
 
 // Reorder categories (admin/staff only)
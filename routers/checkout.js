@@ -1,12 +1,29 @@
 import express from 'express';
-import Stripe from 'stripe';
-import { query, getClient } from '../config/database.js';
+import stripe from '../config/stripe.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { priceCart, priceItems, formatCart } from '../services/pricing.js';
+import { toCents, toDollars } from '../services/money.js';
+import {
+  fulfillCheckoutSession, saveCheckoutSession, attachStripeSession, discardCheckoutSession,
+} from '../services/fulfillment.js';
+import { quoteDelivery, formatDeliveryQuote } from '../services/delivery.js';
+import { getPickupSlots, requirePickupSlot } from '../services/pickupSlots.js';
+import { describeModifiers } from '../services/modifiers.js';
+import { checkStock } from '../services/inventory.js';
+import { requireAvailability, localDateTime } from '../services/availability.js';
+import { isValidDate, isValidTime, localToday } from '../services/hours.js';
+import { optionalCustomer } from './customers.js';
 
 const router = express.Router();
 
-// Initialize Stripe
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// Stripe only accepts a session expiry at least 30 minutes after the session
+// is created; the spare minutes cover the time it takes to get the request there
+const CHECKOUT_SESSION_MINUTES = 32;
+
+// An unpaid checkout holds its pickup slot and single-use promo code a little
+// past its session's expiry, so a payment made at the last moment still finds
+// them held when its order is created
+const CHECKOUT_HOLD_GRACE_MINUTES = 5;
 
 // Ensure FRONTEND_URL has a scheme
 const getFrontendUrl = () => {
@@ -17,37 +34,66 @@ const getFrontendUrl = () => {
   return url.replace(/\/$/, ''); // Remove trailing slash
 };
 
-// Generate order number
-const generateOrderNumber = () => {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-  return `LT-${timestamp}-${random}`;
-};
+// Quote delivery for an address (public - called from the cart)
+router.post('/delivery-quote', asyncHandler(async (req, res) => {
+  // Handle both snake_case and camelCase from frontend
+  const zipCode = req.body.zip_code || req.body.zipCode;
+  const { latitude, longitude, items } = req.body;
+
+  if (!zipCode && (latitude === undefined || longitude === undefined)) {
+    throw new AppError('Zip code or coordinates are required', 400);
+  }
+
+  // Price the cart when given so minimums and free delivery use real prices
+  let amountCents = toCents(req.body.subtotal || 0);
+  if (items && items.length > 0) {
+    const lines = await priceItems(items);
+    amountCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+  }
+
+  const quote = await quoteDelivery({ zipCode, latitude, longitude, amountCents });
+
+  res.json({ quote: formatDeliveryQuote(quote) });
+}));
+
+// Pickup slots for a date (public - called from the checkout form)
+router.get('/pickup-slots', asyncHandler(async (req, res) => {
+  const { date } = req.query;
+
+  if (!date) {
+    throw new AppError('Date is required', 400);
+  }
+
+  res.json(await getPickupSlots(date));
+}));
 
 // Create Stripe Checkout Session
-router.post('/create-session', asyncHandler(async (req, res) => {
+router.post('/create-session', optionalCustomer, asyncHandler(async (req, res) => {
   const { items } = req.body;
   // Handle both snake_case and camelCase from frontend
   const rawCustomerInfo = req.body.customer_info || req.body.customerInfo || {};
   const promoCode = req.body.promo_code || req.body.promoCode || null;
-  const discountAmount = req.body.discount || 0;
+  const selectedFreeItems = req.body.selected_free_items || req.body.selectedFreeItems || [];
 
   // Normalize customer info to handle both naming conventions
   const customerInfo = {
     email: rawCustomerInfo.email,
     phone: rawCustomerInfo.phone,
-    orderType: rawCustomerInfo.order_type || rawCustomerInfo.orderType,
-    customerId: rawCustomerInfo.customer_id || rawCustomerInfo.customerId,
+    orderType: rawCustomerInfo.order_type || rawCustomerInfo.orderType || 'pickup',
     firstName: rawCustomerInfo.first_name || rawCustomerInfo.firstName,
     lastName: rawCustomerInfo.last_name || rawCustomerInfo.lastName,
     name: rawCustomerInfo.name,
     pickupDate: rawCustomerInfo.pickup_date || rawCustomerInfo.pickupDate,
     pickupTime: rawCustomerInfo.pickup_time || rawCustomerInfo.pickupTime,
+    deliveryDate: rawCustomerInfo.delivery_date || rawCustomerInfo.deliveryDate,
+    deliveryTime: rawCustomerInfo.delivery_time || rawCustomerInfo.deliveryTime,
     address: rawCustomerInfo.address,
     apartment: rawCustomerInfo.apartment,
     city: rawCustomerInfo.city,
     state: rawCustomerInfo.state,
     zipCode: rawCustomerInfo.zip_code || rawCustomerInfo.zipCode,
+    latitude: rawCustomerInfo.latitude,
+    longitude: rawCustomerInfo.longitude,
     deliveryInstructions: rawCustomerInfo.delivery_instructions || rawCustomerInfo.deliveryInstructions,
   };
 
@@ -55,109 +101,119 @@ router.post('/create-session', asyncHandler(async (req, res) => {
     throw new AppError('No items in cart', 400);
   }
 
-  // Calculate delivery fee if applicable
-  const deliveryFee = customerInfo?.orderType === 'delivery' ? 500 : 0; // 500 cents = $5.00
+  // The pickup slot has to still be open before we take payment
+  if (customerInfo.orderType === 'pickup') {
+    await requirePickupSlot(customerInfo.pickupDate, customerInfo.pickupTime);
+  }
 
-  // Calculate subtotal for tax (before discount)
-  const subtotalCents = items.reduce((sum, item) => {
-    return sum + Math.round(item.price * 100) * item.quantity;
-  }, 0);
+  // A requested delivery date is optional, but has to be a real future date
+  if (customerInfo.orderType === 'delivery' && customerInfo.deliveryDate) {
+    if (!isValidDate(customerInfo.deliveryDate) || customerInfo.deliveryDate < localToday()) {
+      throw new AppError('Delivery date must be today or later, in YYYY-MM-DD format', 400);
+    }
+    if (customerInfo.deliveryTime && !isValidTime(customerInfo.deliveryTime)) {
+      throw new AppError('Delivery time must be in HH:MM format', 400);
+    }
+  }
+
+  // Price the cart server-side - client prices, names and discounts are ignored
+  const cart = await priceCart({
+    items,
+    promoCode,
+    orderType: customerInfo.orderType,
+    zipCode: customerInfo.zipCode,
+    latitude: customerInfo.latitude,
+    longitude: customerInfo.longitude,
+    customerEmail: customerInfo.email,
+    customer: req.customer,
+    selectedFreeItems,
+  });
 
-  // Convert discount to cents
-  const discountCents = Math.round(discountAmount * 100);
+  // Everything has to be available on the day it's picked up or delivered
+  // (delivery without a requested date goes out today)
+  await requireAvailability(cart.lines, customerInfo.orderType === 'pickup'
+    ? { date: customerInfo.pickupDate, time: customerInfo.pickupTime }
+    : customerInfo.deliveryDate
+      ? { date: customerInfo.deliveryDate, time: customerInfo.deliveryTime || null }
+      : localDateTime());
 
-  // Calculate tax at 8.5% (on subtotal after discount)
-  const taxRate = 0.085;
-  const taxableAmount = subtotalCents - discountCents;
-  const taxCents = Math.round(taxableAmount * taxRate);
+  // Don't take payment for more than is left on the shelf
+  await checkStock(cart.lines);
 
   // Create line items for Stripe
-  const lineItems = items.map((item) => ({
+  const lineItems = cart.lines.map((line) => ({
     price_data: {
       currency: 'usd',
       product_data: {
-        name: item.name,
-        images: item.image ? [item.image] : [],
+        name: line.variantName ? `${line.name} (${line.variantName})` : line.name,
+        ...(line.modifiers.length > 0 && { description: describeModifiers(line.modifiers) }),
+        images: line.image ? [line.image] : [],
         metadata: {
-          productId: String(item.id),
+          productId: String(line.productId),
+          variantId: line.variantId ? String(line.variantId) : '',
         },
       },
-      unit_amount: Math.round(item.price * 100), // Convert to cents
+      unit_amount: line.unitPriceCents,
     },
-    quantity: item.quantity,
+    quantity: line.quantity,
   }));
 
   // Add tax as a line item
-  if (taxCents > 0) {
+  if (cart.taxCents > 0) {
     lineItems.push({
       price_data: {
         currency: 'usd',
         product_data: {
-          name: 'Sales Tax (8.5%)',
+          name: `${cart.tax.label} (${+(cart.tax.rate * 100).toFixed(3)}%)`,
         },
-        unit_amount: taxCents,
+        unit_amount: cart.taxCents,
       },
       quantity: 1,
     });
   }
 
   // Add delivery fee as a line item if applicable
-  if (deliveryFee > 0) {
+  if (cart.deliveryFeeCents > 0) {
     lineItems.push({
       price_data: {
         currency: 'usd',
         product_data: {
           name: 'Delivery Fee',
         },
-        unit_amount: deliveryFee,
+        unit_amount: cart.deliveryFeeCents,
       },
       quantity: 1,
     });
   }
 
-  // Create a coupon for the discount if applicable
-  let couponId = null;
-  if (discountCents > 0 && promoCode) {
-    try {
-      const coupon = await stripe.coupons.create({
-        amount_off: discountCents,
-        currency: 'usd',
-        name: `Promo: ${promoCode}`,
-        max_redemptions: 1,
-        redeem_by: Math.floor(Date.now() / 1000) + 3600, // Expires in 1 hour
-      });
-      couponId = coupon.id;
-    } catch (err) {
-      console.error('Failed to create coupon:', err);
-      // Continue without discount if coupon creation fails
-    }
-  }
-
   // Build metadata for the order
-  // Note: Stripe metadata values have a 500 char limit, so we store items separately
+  // Note: Stripe metadata values have a 500 char limit, so the priced items are
+  // stored in checkout_sessions instead
   const orderMetadata = {
     orderType: customerInfo?.orderType || 'pickup',
     customerEmail: customerInfo?.email || '',
     customerName: customerInfo?.name || `${customerInfo?.firstName || ''} ${customerInfo?.lastName || ''}`.trim(),
     customerPhone: customerInfo?.phone || '',
-    customerId: customerInfo?.customerId ? String(customerInfo.customerId) : '',
-    promoCode: promoCode || '',
-    discount: discountAmount.toString(),
+    customerId: req.customer ? String(req.customer.id) : '',
+    promoCode: cart.promo?.code || '',
+    specialId: cart.promo ? String(cart.promo.specialId) : '',
+    promoDiscountCents: cart.promo ? String(cart.promo.discountCents) : '',
+    discount: toDollars(cart.discountCents).toString(),
+    // Authoritative totals in cents, read back when the order is created
+    subtotalCents: String(cart.subtotalCents),
+    discountCents: String(cart.discountCents),
+    taxCents: String(cart.taxCents),
+    taxRate: String(cart.tax.rate),
+    deliveryFeeCents: String(cart.deliveryFeeCents),
   };
 
-  // Store items as JSON (keeping it simple - product id, name, qty, price)
-  const itemsData = items.map(item => ({
-    id: item.id,
-    name: item.name,
-    quantity: item.quantity,
-    price: item.price,
-  }));
-  orderMetadata.items = JSON.stringify(itemsData);
-
   if (customerInfo?.orderType === 'pickup') {
-    orderMetadata.pickupDate = customerInfo.pickupDate || '';
-    orderMetadata.pickupTime = customerInfo.pickupTime || '';
+    orderMetadata.pickupDate = customerInfo.pickupDate;
+    orderMetadata.pickupTime = customerInfo.pickupTime;
   } else if (customerInfo?.orderType === 'delivery') {
+    orderMetadata.deliveryZone = cart.delivery.zone;
+    orderMetadata.deliveryDate = customerInfo.deliveryDate || '';
+    orderMetadata.deliveryTime = customerInfo.deliveryTime || '';
     orderMetadata.deliveryAddress = JSON.stringify({
       firstName: customerInfo.firstName,
       lastName: customerInfo.lastName,
@@ -184,16 +240,61 @@ router.post('/create-session', asyncHandler(async (req, res) => {
     },
   };
 
-  // Add discount coupon if applicable
-  if (couponId) {
-    sessionConfig.discounts = [{ coupon: couponId }];
+  // The priced lines are saved first: a session must never be payable
+  // without the items its order will be created from. The pickup slot and a
+  // single-use promo code are held until after the session can no longer be paid.
+  const sessionExpiresAt = Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_MINUTES * 60;
+  const checkoutId = await saveCheckoutSession(cart.lines, {
+    ...(customerInfo.orderType === 'pickup' && {
+      pickupDate: customerInfo.pickupDate,
+      pickupTime: customerInfo.pickupTime,
+    }),
+    promoCodeId: cart.promo?.promoCodeId || null,
+    expiresAt: new Date((sessionExpiresAt + CHECKOUT_HOLD_GRACE_MINUTES * 60) * 1000),
+  });
+  sessionConfig.metadata.checkoutId = String(checkoutId);
+  sessionConfig.expires_at = sessionExpiresAt;
+
+  // Create a coupon for the discount if applicable, now that the checkout's
+  // holds are in place. If anything fails we stop here rather than charge a
+  // different amount than the priced cart we return.
+  let couponId = null;
+  let session;
+  try {
+    if (cart.discountCents > 0) {
+      const coupon = await stripe.coupons.create({
+        amount_off: cart.discountCents,
+        currency: 'usd',
+        // Automatic specials alone have no code to show
+        name: cart.promo ? `Promo: ${cart.promo.code}` : 'Specials',
+        max_redemptions: 1,
+        redeem_by: Math.floor(Date.now() / 1000) + 3600, // Expires in 1 hour
+      });
+      couponId = coupon.id;
+      sessionConfig.discounts = [{ coupon: couponId }];
+    }
+
+    session = await stripe.checkout.sessions.create(sessionConfig);
+  } catch (error) {
+    await discardCheckoutSession(checkoutId);
+    if (couponId) {
+      await stripe.coupons.del(couponId).catch(err => console.error('Failed to delete Stripe coupon:', err));
+    }
+    throw error;
   }
 
-  const session = await stripe.checkout.sessions.create(sessionConfig);
+  try {
+    await attachStripeSession(checkoutId, session.id);
+  } catch (error) {
+    // Don't hand out a session we've lost track of
+    await stripe.checkout.sessions.expire(session.id).catch(err => console.error('Failed to expire Stripe session:', err));
+    throw error;
+  }
 
   res.json({
     url: session.url,
     sessionId: session.id,
+    cart: formatCart(cart),
   });
 }));
 
@@ -227,186 +328,28 @@ router.post('/confirm-order', asyncHandler(async (req, res) => {
     throw new AppError('Session ID is required', 400);
   }
 
-  // Check if order already exists for this session
-  const existingOrder = await query(
-    'SELECT id, order_number FROM orders WHERE stripe_session_id = $1',
-    [sessionId]
-  );
+  const { order, created } = await fulfillCheckoutSession(sessionId, { customerId });
 
-  if (existingOrder.rows.length > 0) {
-    // Order already created, return it
+  if (!created) {
+    // Order already created (by the webhook or an earlier call), return it
     return res.json({
       message: 'Order already exists',
-      order: {
-        id: existingOrder.rows[0].id,
-        orderNumber: existingOrder.rows[0].order_number,
-      },
-    });
-  }
-
-  // Retrieve session from Stripe
-  const session = await stripe.checkout.sessions.retrieve(sessionId, {
-    expand: ['line_items', 'payment_intent'],
-  });
-
-  // Verify payment was successful
-  if (session.payment_status !== 'paid') {
-    throw new AppError('Payment not completed', 400);
-  }
-
-  // Parse metadata
-  const metadata = session.metadata || {};
-  const items = metadata.items ? JSON.parse(metadata.items) : [];
-  const deliveryAddress = metadata.deliveryAddress ? JSON.parse(metadata.deliveryAddress) : null;
-
-  // Extract totals from Stripe line items
-  const stripeLineItems = session.line_items?.data || [];
-  let subtotalCents = 0;
-  let taxCents = 0;
-  let deliveryFeeCents = 0;
-
-  for (const lineItem of stripeLineItems) {
-    const amount = lineItem.amount_total || 0;
-    const name = lineItem.description || '';
-
-    if (name.includes('Sales Tax')) {
-      taxCents = amount;
-    } else if (name.includes('Delivery Fee')) {
-      deliveryFeeCents = amount;
-    } else {
-      subtotalCents += amount;
-    }
-  }
-
-  // Convert from cents to dollars
-  const subtotal = subtotalCents / 100;
-  const tax = taxCents / 100;
-  const total = session.amount_total / 100;
-
-  // Determine customer ID - prefer the one passed in (authenticated user), fallback to metadata
-  const orderCustomerId = customerId || (metadata.customerId ? parseInt(metadata.customerId) : null);
-
-  // Parse pickup time if available
-  let pickupTime = null;
-  if (metadata.pickupDate && metadata.pickupTime) {
-    pickupTime = new Date(`${metadata.pickupDate}T${metadata.pickupTime}`);
-  }
-
-  const client = await getClient();
-
-  try {
-    await client.query('BEGIN');
-
-    // Create order
-    const orderResult = await client.query(
-      `INSERT INTO orders (
-        customer_id, order_number, status, subtotal, tax, total,
-        fulfillment_type, pickup_time, delivery_address,
-        customer_name, customer_email, customer_phone,
-        stripe_session_id, stripe_payment_intent
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-      RETURNING *`,
-      [
-        orderCustomerId,
-        generateOrderNumber(),
-        'confirmed',
-        subtotal.toFixed(2),
-        tax.toFixed(2),
-        total.toFixed(2),
-        metadata.orderType || 'pickup',
-        pickupTime,
-        deliveryAddress ? JSON.stringify(deliveryAddress) : null,
-        metadata.customerName || session.customer_email,
-        metadata.customerEmail || session.customer_email,
-        metadata.customerPhone || null,
-        sessionId,
-        session.payment_intent?.id || null,
-      ]
-    );
-
-    const order = orderResult.rows[0];
-
-    // Insert order items
-    for (const item of items) {
-      await client.query(
-        `INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, total_price)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [
-          order.id,
-          item.id || null,
-          item.name,
-          item.quantity,
-          parseFloat(item.price).toFixed(2),
-          (parseFloat(item.price) * item.quantity).toFixed(2),
-        ]
-      );
-    }
-
-    await client.query('COMMIT');
-
-    res.status(201).json({
-      message: 'Order created successfully',
       order: {
         id: order.id,
         orderNumber: order.order_number,
-        status: order.status,
-        total: parseFloat(order.total),
       },
     });
-  } catch (error) {
-    await client.query('ROLLBACK');
-    throw error;
-  } finally {
-    client.release();
   }
-}));
 
-// Stripe Webhook to handle events
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-  let event;
-
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  // Handle the event
-  switch (event.type) {
-    case 'checkout.session.completed':
-      const session = event.data.object;
-      console.log('Payment successful for session:', session.id);
-      // Here you would:
-      // 1. Save the order to your database
-      // 2. Send confirmation email
-      // 3. Notify the bakery staff
-      // For now, just log it
-      console.log('Order details:', {
-        email: session.customer_email,
-        amount: session.amount_total,
-        metadata: session.metadata,
-      });
-      break;
-
-    case 'payment_intent.succeeded':
-      const paymentIntent = event.data.object;
-      console.log('PaymentIntent succeeded:', paymentIntent.id);
-      break;
-
-    case 'payment_intent.payment_failed':
-      const failedPayment = event.data.object;
-      console.error('Payment failed:', failedPayment.id);
-      break;
-
-    default:
-      console.log(`Unhandled event type: ${event.type}`);
-  }
-
-  res.json({ received: true });
-});
+  res.status(201).json({
+    message: 'Order created successfully',
+    order: {
+      id: order.id,
+      orderNumber: order.order_number,
+      status: order.status,
+      total: parseFloat(order.total),
+    },
+  });
+}));
 
 export default router;
@@ -60,6 +60,36 @@ export const authenticateCustomer = async (req, res, next) => {
   }
 };
 
+// Optional customer authentication - sets req.customer for a valid customer
+// token and carries on without one otherwise
+export const optionalCustomer = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+
+    const decoded = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
+
+    if (decoded.type === 'customer') {
+      const result = await query(
+        'SELECT id, email, first_name, last_name, phone, active, created_at FROM customers WHERE id = $1',
+        [decoded.customerId]
+      );
+
+      if (result.rows.length > 0 && result.rows[0].active) {
+        req.customer = result.rows[0];
+      }
+    }
+
+    next();
+  } catch (error) {
+    // Token invalid or expired, continue as a guest
+    next();
+  }
+};
+
 // Register a new customer (public)
 router.post('/register', asyncHandler(async (req, res) => {
   const { email, password, phone } = req.body;
@@ -0,0 +1,127 @@
+import express from 'express';
+import { query } from '../config/database.js';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+const SLUG_PATTERN = /^[a-z0-9]+(_[a-z0-9]+)*$/;
+
+// Get all dietary tags (public - active only)
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const isAdmin = req.user && ['admin', 'staff', 'baker'].includes(req.user.role);
+
+  let queryText = 'SELECT * FROM dietary_tags';
+
+  if (!isAdmin) {
+    queryText += ' WHERE active = true';
+  }
+
+  queryText += ' ORDER BY display_order ASC, name ASC';
+
+  const result = await query(queryText);
+
+  res.json({ dietaryTags: result.rows });
+}));
+
+// Create dietary tag (admin/staff only)
+router.post('/', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { slug, name, description, display_order = 0, active = true } = req.body;
+
+  if (!slug || !name) {
+    throw new AppError('Slug and name are required', 400);
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new AppError('Slug must be lowercase letters and numbers separated by underscores, e.g. gluten_free', 400);
+  }
+
+  const result = await query(
+    `INSERT INTO dietary_tags (slug, name, description, display_order, active)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [slug, name, description || null, parseInt(display_order) || 0, active === 'true' || active === true]
+  );
+
+  res.status(201).json({
+    message: 'Dietary tag created successfully',
+    dietaryTag: result.rows[0],
+  });
+}));
+
+// Update dietary tag (admin/staff only). The slug is stored on products, so it can't change.
+router.put('/:id', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { slug, name, description, display_order, active } = req.body;
+
+  const existing = await query('SELECT * FROM dietary_tags WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    throw new AppError('Dietary tag not found', 404);
+  }
+
+  if (slug !== undefined && slug !== existing.rows[0].slug) {
+    throw new AppError('The slug of a dietary tag cannot be changed', 400);
+  }
+
+  // Build update query dynamically
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (name !== undefined) {
+    updates.push(`name = $${paramCount}`);
+    values.push(name);
+    paramCount++;
+  }
+
+  if (description !== undefined) {
+    updates.push(`description = $${paramCount}`);
+    values.push(description || null);
+    paramCount++;
+  }
+
+  if (display_order !== undefined) {
+    updates.push(`display_order = $${paramCount}`);
+    values.push(parseInt(display_order) || 0);
+    paramCount++;
+  }
+
+  if (active !== undefined) {
+    updates.push(`active = $${paramCount}`);
+    values.push(active === 'true' || active === true);
+    paramCount++;
+  }
+
+  if (updates.length === 0) {
+    throw new AppError('No updates provided', 400);
+  }
+
+  values.push(id);
+
+  const result = await query(
+    `UPDATE dietary_tags SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+
+  res.json({
+    message: 'Dietary tag updated successfully',
+    dietaryTag: result.rows[0],
+  });
+}));
+
+// Delete dietary tag (admin only) and take it off every product
+router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const result = await query('DELETE FROM dietary_tags WHERE id = $1 RETURNING slug', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Dietary tag not found', 404);
+  }
+
+  await query(
+    'UPDATE products SET dietary_tags = array_remove(dietary_tags, $1) WHERE $1 = ANY(dietary_tags)',
+    [result.rows[0].slug]
+  );
+
+  res.json({ message: 'Dietary tag deleted successfully' });
+}));
+
+export default router;
@@ -10,6 +10,12 @@ import bannersRouter from './banners.js';
 import settingsRouter from './settings.js';
 import uploadRouter from './upload.js';
 import checkoutRouter from './checkout.js';
+import inventoryRouter from './inventory.js';
+import productionRouter from './production.js';
+import ingredientsRouter from './ingredients.js';
+import reportsRouter from './reports.js';
+import allergensRouter from './allergens.js';
+import dietaryTagsRouter from './dietaryTags.js';
 
 const router = express.Router();
 
@@ -25,10 +31,16 @@ router.use('/orders', ordersRouter);
 // Resource routes
 router.use('/products', productsRouter);
 router.use('/categories', categoriesRouter);
+router.use('/allergens', allergensRouter);
+router.use('/dietary-tags', dietaryTagsRouter);
 router.use('/specials', specialsRouter);
 router.use('/promotions', promotionsRouter);
 router.use('/banners', bannersRouter);
 router.use('/settings', settingsRouter);
+router.use('/inventory', inventoryRouter);
+router.use('/production', productionRouter);
+router.use('/ingredients', ingredientsRouter);
+router.use('/reports', reportsRouter);
 
 // Upload routes
 router.use('/upload', uploadRouter);
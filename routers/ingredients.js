@@ -0,0 +1,249 @@
+import express from 'express';
+import { query } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { validateIngredient, adjustIngredientStock } from '../services/recipes.js';
+
+const router = express.Router();
+
+// All ingredient routes are for staff
+router.use(authenticate, authorize('admin', 'staff', 'baker'));
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const formatIngredient = (row) => ({
+  id: row.id,
+  name: row.name,
+  labelName: row.label_name,
+  unit: row.unit,
+  gramsPerUnit: toNumber(row.grams_per_unit),
+  onHand: toNumber(row.on_hand),
+  reorderPoint: toNumber(row.reorder_point),
+  reorderQuantity: toNumber(row.reorder_quantity),
+  costPerUnit: toNumber(row.cost_per_unit),
+  active: row.active,
+  belowReorderPoint: row.reorder_point !== null && parseFloat(row.on_hand) <= parseFloat(row.reorder_point),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+const findIngredient = async (id) => {
+  const result = await query('SELECT * FROM ingredients WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    throw new AppError('Ingredient not found', 404);
+  }
+  return result.rows[0];
+};
+
+// Get all ingredients
+router.get('/', asyncHandler(async (req, res) => {
+  const { active, search } = req.query;
+
+  let queryText = 'SELECT * FROM ingredients WHERE 1=1';
+  const params = [];
+  let paramCount = 1;
+
+  if (active !== undefined) {
+    queryText += ` AND active = $${paramCount}`;
+    params.push(active === 'true');
+    paramCount++;
+  }
+
+  if (search) {
+    queryText += ` AND (name ILIKE $${paramCount} OR label_name ILIKE $${paramCount})`;
+    params.push(`%${search}%`);
+    paramCount++;
+  }
+
+  queryText += ' ORDER BY name ASC';
+
+  const result = await query(queryText, params);
+
+  res.json({ ingredients: result.rows.map(formatIngredient) });
+}));
+
+// What needs buying: active ingredients at or below their reorder point
+router.get('/shopping-list', asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT * FROM ingredients
+     WHERE active = true AND reorder_point IS NOT NULL AND on_hand <= reorder_point
+     ORDER BY name ASC`
+  );
+
+  const items = result.rows.map(row => {
+    const onHand = parseFloat(row.on_hand);
+    const reorderPoint = parseFloat(row.reorder_point);
+    // Buy the usual amount, or enough to get back to the reorder point if that's more
+    const suggestedQuantity = Math.max(toNumber(row.reorder_quantity) || 0, reorderPoint - onHand);
+    const costPerUnit = toNumber(row.cost_per_unit);
+
+    return {
+      ingredientId: row.id,
+      name: row.name,
+      unit: row.unit,
+      onHand,
+      reorderPoint,
+      suggestedQuantity: Math.round(suggestedQuantity * 1000) / 1000,
+      estimatedCost: costPerUnit !== null ? Math.round(suggestedQuantity * costPerUnit * 100) / 100 : null,
+    };
+  });
+
+  res.json({
+    items,
+    estimatedTotal: Math.round(items.reduce((sum, item) => sum + (item.estimatedCost || 0), 0) * 100) / 100,
+  });
+}));
+
+// Get single ingredient, with the products that use it
+router.get('/:id', asyncHandler(async (req, res) => {
+  const ingredient = await findIngredient(req.params.id);
+
+  const usedBy = await query(
+    `SELECT r.product_id, p.name as product_name, r.variant_id, v.name as variant_name, r.quantity
+     FROM recipe_lines r
+     JOIN products p ON p.id = r.product_id
+     LEFT JOIN product_variants v ON v.id = r.variant_id
+     WHERE r.ingredient_id = $1
+     ORDER BY p.name ASC, v.name ASC NULLS FIRST`,
+    [ingredient.id]
+  );
+
+  res.json({
+    ingredient: {
+      ...formatIngredient(ingredient),
+      usedBy: usedBy.rows.map(row => ({
+        productId: row.product_id,
+        productName: row.product_name,
+        variantId: row.variant_id,
+        variantName: row.variant_name,
+        quantity: parseFloat(row.quantity),
+      })),
+    },
+  });
+}));
+
+// Create ingredient. An opening on_hand is recorded as an adjustment.
+router.post('/', authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const ingredient = validateIngredient(req.body);
+
+  const result = await query(
+    `INSERT INTO ingredients (name, label_name, unit, grams_per_unit, reorder_point, reorder_quantity, cost_per_unit, active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [ingredient.name, ingredient.labelName, ingredient.unit, ingredient.gramsPerUnit, ingredient.reorderPoint, ingredient.reorderQuantity, ingredient.costPerUnit, ingredient.active]
+  );
+
+  let row = result.rows[0];
+
+  if (req.body.on_hand !== undefined && req.body.on_hand !== null) {
+    await adjustIngredientStock(row.id, {
+      quantity: parseFloat(req.body.on_hand),
+      note: 'Opening stock',
+      userId: req.user.id,
+    });
+    row = await findIngredient(row.id);
+  }
+
+  res.status(201).json({
+    message: 'Ingredient created successfully',
+    ingredient: formatIngredient(row),
+  });
+}));
+
+// Update ingredient. Stock is changed through PATCH /:id/stock so it's on the ledger.
+router.put('/:id', authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const existing = await findIngredient(req.params.id);
+  const ingredient = validateIngredient(req.body, existing);
+
+  const result = await query(
+    `UPDATE ingredients
+     SET name = $1, label_name = $2, unit = $3, grams_per_unit = $4, reorder_point = $5,
+         reorder_quantity = $6, cost_per_unit = $7, active = $8
+     WHERE id = $9
+     RETURNING *`,
+    [ingredient.name, ingredient.labelName, ingredient.unit, ingredient.gramsPerUnit, ingredient.reorderPoint, ingredient.reorderQuantity, ingredient.costPerUnit, ingredient.active, existing.id]
+  );
+
+  res.json({
+    message: 'Ingredient updated successfully',
+    ingredient: formatIngredient(result.rows[0]),
+  });
+}));
+
+// Delete ingredient (admin only). Ingredients still in a recipe can only be deactivated.
+router.delete('/:id', authorize('admin'), asyncHandler(async (req, res) => {
+  const existing = await findIngredient(req.params.id);
+
+  const inUse = await query('SELECT COUNT(*) FROM recipe_lines WHERE ingredient_id = $1', [existing.id]);
+  if (parseInt(inUse.rows[0].count) > 0) {
+    throw new AppError('Ingredient is used in recipes. Remove it from them or deactivate it instead.', 400);
+  }
+
+  await query('DELETE FROM ingredients WHERE id = $1', [existing.id]);
+
+  res.json({ message: 'Ingredient deleted successfully' });
+}));
+
+// Record a purchase or stock count.
+// Body: { quantity } for a count, { change } to add/remove, { reason: 'purchase' | 'adjustment' }, { note }
+router.patch('/:id/stock', asyncHandler(async (req, res) => {
+  const { quantity, change, reason, note } = req.body;
+
+  await adjustIngredientStock(req.params.id, {
+    quantity: quantity === undefined ? undefined : parseFloat(quantity),
+    change: change === undefined ? undefined : parseFloat(change),
+    reason: reason || (change !== undefined && parseFloat(change) > 0 ? 'purchase' : 'adjustment'),
+    note,
+    userId: req.user.id,
+  });
+
+  res.json({
+    message: 'Stock updated successfully',
+    ingredient: formatIngredient(await findIngredient(req.params.id)),
+  });
+}));
+
+// Stock movement ledger for an ingredient
+router.get('/:id/movements', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const offset = (page - 1) * limit;
+  const ingredient = await findIngredient(req.params.id);
+
+  const countResult = await query('SELECT COUNT(*) FROM ingredient_movements WHERE ingredient_id = $1', [ingredient.id]);
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  const result = await query(
+    `SELECT m.*, o.order_number, u.name as created_by_name
+     FROM ingredient_movements m
+     LEFT JOIN orders o ON m.order_id = o.id
+     LEFT JOIN users u ON m.created_by = u.id
+     WHERE m.ingredient_id = $1
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT $2 OFFSET $3`,
+    [ingredient.id, limit, offset]
+  );
+
+  const movements = result.rows.map(row => ({
+    id: row.id,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    quantityChange: parseFloat(row.quantity_change),
+    onHandAfter: toNumber(row.on_hand_after),
+    reason: row.reason,
+    note: row.note,
+    createdBy: row.created_by_name,
+    createdAt: row.created_at,
+  }));
+
+  res.json({
+    movements,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+    },
+  });
+}));
+
+export default router;
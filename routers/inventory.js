@@ -0,0 +1,199 @@
+import express from 'express';
+import { query } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { getSetting } from '../services/settings.js';
+import { adjustStock, resetToPar } from '../services/inventory.js';
+
+const router = express.Router();
+
+// All inventory routes are for staff
+router.use(authenticate, authorize('admin', 'staff', 'baker'));
+
+const parseOptionalInt = (value) => (value === null ? null : value === undefined ? undefined : Number(value));
+
+// Stock levels for every tracked product and variant
+router.get('/', asyncHandler(async (req, res) => {
+  const { lowStock } = req.query;
+  const { low_stock_threshold: threshold } = await getSetting('inventory');
+
+  const result = await query(
+    `SELECT p.id as product_id, NULL::integer as variant_id, p.name, NULL as variant_name,
+            p.stock_quantity, p.daily_par, p.active
+     FROM products p
+     WHERE p.stock_quantity IS NOT NULL OR p.daily_par IS NOT NULL
+     UNION ALL
+     SELECT v.product_id, v.id, p.name, v.name,
+            v.stock_quantity, v.daily_par, p.active AND v.active
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     WHERE v.stock_quantity IS NOT NULL OR v.daily_par IS NOT NULL
+     ORDER BY stock_quantity ASC NULLS LAST, name ASC`
+  );
+
+  let items = result.rows.map(row => ({
+    productId: row.product_id,
+    variantId: row.variant_id,
+    name: row.name,
+    variantName: row.variant_name,
+    stockQuantity: row.stock_quantity,
+    dailyPar: row.daily_par,
+    active: row.active,
+    soldOut: row.stock_quantity !== null && row.stock_quantity <= 0,
+    lowStock: row.stock_quantity !== null && row.stock_quantity <= threshold,
+  }));
+
+  if (lowStock === 'true') {
+    items = items.filter(item => item.lowStock);
+  }
+
+  res.json({ items, lowStockThreshold: threshold });
+}));
+
+// Stock movement ledger
+router.get('/movements', asyncHandler(async (req, res) => {
+  const { productId, variantId, orderId, reason, page = 1, limit = 50 } = req.query;
+  const offset = (page - 1) * limit;
+
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramCount = 1;
+
+  if (productId) {
+    whereClause += ` AND m.product_id = $${paramCount}`;
+    params.push(productId);
+    paramCount++;
+  }
+
+  if (variantId) {
+    whereClause += ` AND m.variant_id = $${paramCount}`;
+    params.push(variantId);
+    paramCount++;
+  }
+
+  if (orderId) {
+    whereClause += ` AND m.order_id = $${paramCount}`;
+    params.push(orderId);
+    paramCount++;
+  }
+
+  if (reason) {
+    whereClause += ` AND m.reason = $${paramCount}`;
+    params.push(reason);
+    paramCount++;
+  }
+
+  const countResult = await query(`SELECT COUNT(*) FROM inventory_movements m ${whereClause}`, params);
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  params.push(limit, offset);
+
+  const result = await query(
+    `SELECT m.*, p.name as product_name, v.name as variant_name, o.order_number, u.name as created_by_name
+     FROM inventory_movements m
+     LEFT JOIN products p ON m.product_id = p.id
+     LEFT JOIN product_variants v ON m.variant_id = v.id
+     LEFT JOIN orders o ON m.order_id = o.id
+     LEFT JOIN users u ON m.created_by = u.id
+     ${whereClause}
+     ORDER BY m.created_at DESC, m.id DESC
+     LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+    params
+  );
+
+  const movements = result.rows.map(row => ({
+    id: row.id,
+    productId: row.product_id,
+    productName: row.product_name,
+    variantId: row.variant_id,
+    variantName: row.variant_name,
+    orderId: row.order_id,
+    orderNumber: row.order_number,
+    quantityChange: row.quantity_change,
+    stockAfter: row.stock_after,
+    reason: row.reason,
+    note: row.note,
+    createdBy: row.created_by_name,
+    createdAt: row.created_at,
+  }));
+
+  res.json({
+    movements,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+    },
+  });
+}));
+
+// Set or adjust a product's stock and daily par.
+// Body: { quantity } for a count, { change } to add/remove, { dailyPar }, { note }
+router.patch('/products/:id', asyncHandler(async (req, res) => {
+  const { quantity, change, note } = req.body;
+  const dailyPar = req.body.dailyPar ?? req.body.daily_par;
+
+  const product = await adjustStock({
+    productId: req.params.id,
+    quantity: parseOptionalInt(quantity),
+    change: parseOptionalInt(change),
+    dailyPar: parseOptionalInt(dailyPar),
+    note,
+    userId: req.user.id,
+  });
+
+  res.json({
+    message: 'Stock updated successfully',
+    product: {
+      id: product.id,
+      name: product.name,
+      stockQuantity: product.stock_quantity,
+      dailyPar: product.daily_par,
+    },
+  });
+}));
+
+// Set or adjust a variant's own stock and daily par (same body as above)
+router.patch('/variants/:id', asyncHandler(async (req, res) => {
+  const { quantity, change, note } = req.body;
+  const dailyPar = req.body.dailyPar ?? req.body.daily_par;
+
+  const existing = await query('SELECT product_id FROM product_variants WHERE id = $1', [req.params.id]);
+  if (existing.rows.length === 0) {
+    throw new AppError('Variant not found', 404);
+  }
+
+  const variant = await adjustStock({
+    productId: existing.rows[0].product_id,
+    variantId: req.params.id,
+    quantity: parseOptionalInt(quantity),
+    change: parseOptionalInt(change),
+    dailyPar: parseOptionalInt(dailyPar),
+    note,
+    userId: req.user.id,
+  });
+
+  res.json({
+    message: 'Stock updated successfully',
+    variant: {
+      id: variant.id,
+      productId: variant.product_id,
+      name: variant.name,
+      stockQuantity: variant.stock_quantity,
+      dailyPar: variant.daily_par,
+    },
+  });
+}));
+
+// Reset stock to daily par for everything that has one - run at the start of each baking day
+router.post('/reset-par', authorize('admin', 'baker'), asyncHandler(async (req, res) => {
+  const counts = await resetToPar({ userId: req.user.id });
+
+  res.json({
+    message: 'Stock reset to daily par',
+    ...counts,
+  });
+}));
+
+export default router;
@@ -1,8 +1,18 @@
 import express from 'express';
 import { query, getClient } from '../config/database.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
-import { authenticateCustomer } from './customers.js';
+import { authenticateCustomer, optionalCustomer } from './customers.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { createRefund } from '../services/refunds.js';
+import { priceItems } from '../services/pricing.js';
+import { toDollars } from '../services/money.js';
+import { calculateTax } from '../services/tax.js';
+import { requireDelivery } from '../services/delivery.js';
+import { insertOrderItems } from '../services/fulfillment.js';
+import { checkStock } from '../services/inventory.js';
+import { LIST_PRICE_AT_ORDER_SQL } from '../services/costing.js';
+import { requireAvailability, localDateTime } from '../services/availability.js';
+import { ORDER_STATUS_TRANSITIONS, recordStatusChange, transitionOrderStatus } from '../services/orderStatus.js';
 
 const router = express.Router();
 
@@ -21,6 +31,9 @@ router.get('/my-orders', authenticateCustomer, asyncHandler(async (req, res) =>
               'id', oi.id,
               'productId', oi.product_id,
               'productName', oi.product_name,
+              'variantId', oi.variant_id,
+              'variantName', oi.variant_name,
+              'sku', oi.sku,
               'quantity', oi.quantity,
               'unitPrice', oi.unit_price,
               'totalPrice', oi.total_price
@@ -42,6 +55,7 @@ router.get('/my-orders', authenticateCustomer, asyncHandler(async (req, res) =>
     total: parseFloat(order.total),
     fulfillmentType: order.fulfillment_type,
     pickupTime: order.pickup_time,
+    deliveryTime: order.delivery_time,
     deliveryAddress: order.delivery_address,
     notes: order.notes,
     items: order.items[0]?.id ? order.items : [],
@@ -61,9 +75,24 @@ router.get('/my-orders/:orderNumber', authenticateCustomer, asyncHandler(async (
               'id', oi.id,
               'productId', oi.product_id,
               'productName', oi.product_name,
+              'variantId', oi.variant_id,
+              'variantName', oi.variant_name,
+              'sku', oi.sku,
               'quantity', oi.quantity,
               'unitPrice', oi.unit_price,
-              'totalPrice', oi.total_price
+              'totalPrice', oi.total_price,
+              'discount', oi.discount_amount,
+              'tax', oi.tax_amount,
+              'modifiers', COALESCE((
+                SELECT json_agg(json_build_object(
+                  'group', m.group_name,
+                  'option', m.option_name,
+                  'text', m.text_value,
+                  'priceDelta', m.price_delta
+                ) ORDER BY m.id)
+                FROM order_item_modifiers m
+                WHERE m.order_item_id = oi.id
+              ), '[]')
             )) as items
      FROM orders o
      LEFT JOIN order_items oi ON o.id = oi.order_id
@@ -88,6 +117,7 @@ router.get('/my-orders/:orderNumber', authenticateCustomer, asyncHandler(async (
       total: parseFloat(order.total),
       fulfillmentType: order.fulfillment_type,
       pickupTime: order.pickup_time,
+      deliveryTime: order.delivery_time,
       deliveryAddress: order.delivery_address,
       customerName: order.customer_name,
       customerEmail: order.customer_email,
@@ -100,12 +130,13 @@ router.get('/my-orders/:orderNumber', authenticateCustomer, asyncHandler(async (
 }));
 
 // Create order (can be guest or authenticated customer)
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', optionalCustomer, asyncHandler(async (req, res) => {
   const {
     items,
     customerInfo,
     fulfillmentType = 'pickup',
     pickupTime,
+    deliveryTime,
     deliveryAddress,
     notes,
     stripeSessionId,
@@ -120,13 +151,43 @@ router.post('/', asyncHandler(async (req, res) => {
     throw new AppError('Customer email and name are required', 400);
   }
 
-  // Calculate totals
-  const subtotal = items.reduce((sum, item) => {
-    return sum + (parseFloat(item.price) * item.quantity);
-  }, 0);
-  const taxRate = 0.085;
-  const tax = subtotal * taxRate;
-  const total = subtotal + tax;
+  // Price items from the catalog and tax them with the shared calculator
+  const lines = await priceItems(items);
+
+  // Items have to be available when the order is due
+  const dueAt = new Date((fulfillmentType === 'delivery' ? deliveryTime : pickupTime) || Date.now());
+  if (Number.isNaN(dueAt.getTime())) {
+    throw new AppError('Pickup and delivery times must be valid dates', 400);
+  }
+  await requireAvailability(lines, localDateTime(dueAt));
+
+  // Stock is only taken once the order is confirmed, but don't accept an
+  // order that already couldn't be filled
+  await checkStock(lines);
+
+  const subtotalCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+  const zipCode = deliveryAddress?.zip_code || deliveryAddress?.zipCode || deliveryAddress?.zip;
+  const { taxCents, lineTaxCents } = await calculateTax({
+    lines,
+    orderType: fulfillmentType,
+    zipCode,
+    customer: req.customer,
+  });
+
+  // Delivery addresses must be inside a delivery zone
+  const deliveryFeeCents = fulfillmentType === 'delivery'
+    ? (await requireDelivery({
+      zipCode,
+      latitude: deliveryAddress?.latitude,
+      longitude: deliveryAddress?.longitude,
+      amountCents: subtotalCents,
+    })).feeCents
+    : 0;
+
+  const subtotal = toDollars(subtotalCents);
+  const tax = toDollars(taxCents);
+  const deliveryFee = toDollars(deliveryFeeCents);
+  const total = toDollars(subtotalCents + taxCents + deliveryFeeCents);
 
   const client = await getClient();
 
@@ -136,10 +197,10 @@ router.post('/', asyncHandler(async (req, res) => {
     // Create order
     const orderResult = await client.query(
       `INSERT INTO orders (
-        customer_id, order_number, status, subtotal, tax, total,
-        fulfillment_type, pickup_time, delivery_address,
+        customer_id, order_number, status, subtotal, tax, delivery_fee, total,
+        fulfillment_type, pickup_time, delivery_time, delivery_address,
         customer_name, customer_email, customer_phone, notes, stripe_session_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
       RETURNING *`,
       [
         customerId || null,
@@ -147,9 +208,11 @@ router.post('/', asyncHandler(async (req, res) => {
         'pending',
         subtotal.toFixed(2),
         tax.toFixed(2),
+        deliveryFee.toFixed(2),
         total.toFixed(2),
         fulfillmentType,
         pickupTime || null,
+        deliveryTime || null,
         deliveryAddress ? JSON.stringify(deliveryAddress) : null,
         customerInfo.name,
         customerInfo.email,
@@ -161,21 +224,13 @@ router.post('/', asyncHandler(async (req, res) => {
 
     const order = orderResult.rows[0];
 
-    // Insert order items
-    for (const item of items) {
-      await client.query(
-        `INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, total_price)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [
-          order.id,
-          item.id || null,
-          item.name,
-          item.quantity,
-          parseFloat(item.price).toFixed(2),
-          (parseFloat(item.price) * item.quantity).toFixed(2),
-        ]
-      );
-    }
+    await recordStatusChange(client, order.id, null, order.status, { source: 'system' });
+
+    await insertOrderItems(
+      client,
+      order.id,
+      lines.map((line, index) => ({ ...line, discountCents: 0, taxCents: lineTaxCents[index] }))
+    );
 
     await client.query('COMMIT');
 
@@ -228,6 +283,9 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
             json_agg(json_build_object(
               'id', oi.id,
               'productName', oi.product_name,
+              'variantId', oi.variant_id,
+              'variantName', oi.variant_name,
+              'sku', oi.sku,
               'quantity', oi.quantity,
               'unitPrice', oi.unit_price,
               'totalPrice', oi.total_price
@@ -250,6 +308,7 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     total: parseFloat(order.total),
     fulfillmentType: order.fulfillment_type,
     pickupTime: order.pickup_time,
+    deliveryTime: order.delivery_time,
     customerName: order.customer_name,
     customerEmail: order.customer_email,
     customerPhone: order.customer_phone,
@@ -278,9 +337,23 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
               'id', oi.id,
               'productId', oi.product_id,
               'productName', oi.product_name,
+              'variantId', oi.variant_id,
+              'variantName', oi.variant_name,
+              'sku', oi.sku,
               'quantity', oi.quantity,
               'unitPrice', oi.unit_price,
-              'totalPrice', oi.total_price
+              'listPrice', ${LIST_PRICE_AT_ORDER_SQL},
+              'totalPrice', oi.total_price,
+              'modifiers', COALESCE((
+                SELECT json_agg(json_build_object(
+                  'group', m.group_name,
+                  'option', m.option_name,
+                  'text', m.text_value,
+                  'priceDelta', m.price_delta
+                ) ORDER BY m.id)
+                FROM order_item_modifiers m
+                WHERE m.order_item_id = oi.id
+              ), '[]')
             )) as items
      FROM orders o
      LEFT JOIN order_items oi ON o.id = oi.order_id
@@ -300,11 +373,17 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
       id: order.id,
       orderNumber: order.order_number,
       status: order.status,
+      allowedTransitions: ORDER_STATUS_TRANSITIONS[order.status] || [],
       subtotal: parseFloat(order.subtotal),
+      discount: parseFloat(order.discount || 0),
+      promoCode: order.promo_code,
       tax: parseFloat(order.tax),
+      deliveryFee: parseFloat(order.delivery_fee || 0),
       total: parseFloat(order.total),
+      refundedTotal: parseFloat(order.refunded_total || 0),
       fulfillmentType: order.fulfillment_type,
       pickupTime: order.pickup_time,
+      deliveryTime: order.delivery_time,
       deliveryAddress: order.delivery_address,
       customerName: order.customer_name,
       customerEmail: order.customer_email,
@@ -322,30 +401,137 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 // Update order status (admin/staff only)
 router.patch('/:id/status', authenticate, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, reason } = req.body;
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const order = await transitionOrderStatus(client, id, status, {
+      changedBy: req.user.id,
+      source: 'admin',
+      reason: reason || null,
+    });
+
+    await client.query('COMMIT');
 
-  const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    throw new AppError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400);
+    res.json({
+      message: 'Order status updated',
+      order: {
+        id: order.id,
+        orderNumber: order.order_number,
+        status: order.status,
+        allowedTransitions: ORDER_STATUS_TRANSITIONS[order.status],
+        updatedAt: order.updated_at,
+      },
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
+}));
 
-  const result = await query(
-    `UPDATE orders SET status = $1 WHERE id = $2
-     RETURNING id, order_number, status, updated_at`,
-    [status, id]
-  );
+// Get status history for an order (admin/staff only)
+router.get('/:id/history', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-  if (result.rows.length === 0) {
+  const orderResult = await query('SELECT id FROM orders WHERE id = $1', [id]);
+  if (orderResult.rows.length === 0) {
     throw new AppError('Order not found', 404);
   }
 
-  res.json({
-    message: 'Order status updated',
+  const result = await query(
+    `SELECT h.*, u.name as changed_by_name
+     FROM order_status_history h
+     LEFT JOIN users u ON h.changed_by = u.id
+     WHERE h.order_id = $1
+     ORDER BY h.created_at ASC, h.id ASC`,
+    [id]
+  );
+
+  const history = result.rows.map(entry => ({
+    id: entry.id,
+    fromStatus: entry.from_status,
+    toStatus: entry.to_status,
+    changedBy: entry.changed_by ? { id: entry.changed_by, name: entry.changed_by_name } : null,
+    source: entry.source,
+    reason: entry.reason,
+    createdAt: entry.created_at,
+  }));
+
+  res.json({ history });
+}));
+
+// Get refunds for an order (admin/staff only)
+router.get('/:id/refunds', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const result = await query(
+    `SELECT r.*, u.name as created_by_name,
+            COALESCE(json_agg(json_build_object(
+              'orderItemId', ri.order_item_id,
+              'productName', oi.product_name,
+              'variantName', oi.variant_name,
+              'quantity', ri.quantity,
+              'amount', ri.amount
+            )) FILTER (WHERE ri.id IS NOT NULL), '[]') as items
+     FROM refunds r
+     LEFT JOIN users u ON r.created_by = u.id
+     LEFT JOIN refund_items ri ON ri.refund_id = r.id
+     LEFT JOIN order_items oi ON ri.order_item_id = oi.id
+     WHERE r.order_id = $1
+     GROUP BY r.id, u.name
+     ORDER BY r.created_at DESC`,
+    [id]
+  );
+
+  const refunds = result.rows.map(refund => ({
+    id: refund.id,
+    stripeRefundId: refund.stripe_refund_id,
+    amount: parseFloat(refund.amount),
+    reason: refund.reason,
+    status: refund.status,
+    source: refund.source,
+    createdBy: refund.created_by_name,
+    items: refund.items,
+    createdAt: refund.created_at,
+  }));
+
+  res.json({ refunds });
+}));
+
+// Refund an order in full, by line item, or by a custom amount (admin/staff only)
+router.post('/:id/refunds', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { items, amount, reason } = req.body;
+
+  const { refund, order } = await createRefund(id, {
+    items,
+    amount,
+    reason,
+    restock: req.body.restock !== false,
+    userId: req.user.id,
+  });
+
+  res.status(201).json({
+    message: 'Refund issued successfully',
+    refund: {
+      id: refund.id,
+      stripeRefundId: refund.stripe_refund_id,
+      amount: parseFloat(refund.amount),
+      reason: refund.reason,
+      status: refund.status,
+      createdAt: refund.created_at,
+    },
     order: {
-      id: result.rows[0].id,
-      orderNumber: result.rows[0].order_number,
-      status: result.rows[0].status,
-      updatedAt: result.rows[0].updated_at,
+      id: order.id,
+      orderNumber: order.order_number,
+      status: order.status,
+      total: parseFloat(order.total),
+      refundedTotal: parseFloat(order.refunded_total),
     },
   });
 }));
@@ -0,0 +1,200 @@
+import express from 'express';
+import { query, getClient } from '../config/database.js';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { validateModifierGroup, validateModifierOption, getModifierGroups } from '../services/modifiers.js';
+import { canSeeInactive, findProduct } from '../services/products.js';
+
+// Mounted at /api/products/:id/modifiers
+const router = express.Router({ mergeParams: true });
+
+const findGroup = async (productId, groupId) => {
+  const result = await query(
+    'SELECT * FROM modifier_groups WHERE id = $1 AND product_id = $2',
+    [groupId, productId]
+  );
+  if (result.rows.length === 0) {
+    throw new AppError('Modifier group not found', 404);
+  }
+  return result.rows[0];
+};
+
+const getGroup = async (groupId) => {
+  const result = await query(
+    `SELECT g.*, COALESCE(json_agg(o ORDER BY o.display_order, o.id) FILTER (WHERE o.id IS NOT NULL), '[]') as options
+     FROM modifier_groups g
+     LEFT JOIN modifier_options o ON o.group_id = g.id
+     WHERE g.id = $1
+     GROUP BY g.id`,
+    [groupId]
+  );
+  return result.rows[0];
+};
+
+// Get a product's modifier groups and their options (public)
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+
+  const groups = await getModifierGroups([productId], { includeInactive: canSeeInactive(req.user) });
+
+  res.json({ modifierGroups: groups.get(productId) || [] });
+}));
+
+// Create modifier group, optionally with its options (admin/staff only)
+router.post('/', authenticate, authorize('admin', 'staff', 'baker'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const group = validateModifierGroup(req.body);
+  if (req.body.options !== undefined && !Array.isArray(req.body.options)) {
+    throw new AppError('options must be an array', 400);
+  }
+  const options = (req.body.options || []).map(option => validateModifierOption(option || {}));
+
+  if (group.type === 'text' && options.length > 0) {
+    throw new AppError('Text modifiers do not have options', 400);
+  }
+
+  // The group and its options are created together or not at all
+  const client = await getClient();
+  let groupId;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO modifier_groups (product_id, name, type, required, min_selections, max_selections, max_length, price_delta, active, display_order)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [productId, group.name, group.type, group.required, group.minSelections, group.maxSelections, group.maxLength, group.priceDelta, group.active, group.displayOrder]
+    );
+
+    groupId = result.rows[0].id;
+
+    for (const option of options) {
+      await client.query(
+        `INSERT INTO modifier_options (group_id, name, price_delta, active, display_order)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [groupId, option.name, option.priceDelta, option.active, option.displayOrder]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  res.status(201).json({
+    message: 'Modifier group created successfully',
+    modifierGroup: await getGroup(groupId),
+  });
+}));
+
+// Update modifier group (admin/staff only)
+router.put('/:groupId', authenticate, authorize('admin', 'staff', 'baker'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const existing = await findGroup(productId, req.params.groupId);
+  const group = validateModifierGroup(req.body, existing);
+
+  if (group.type === 'text' && existing.type !== 'text') {
+    const options = await query('SELECT 1 FROM modifier_options WHERE group_id = $1 LIMIT 1', [existing.id]);
+    if (options.rows.length > 0) {
+      throw new AppError('Remove the options before changing this group to a text modifier', 400);
+    }
+  }
+
+  await query(
+    `UPDATE modifier_groups
+     SET name = $1, type = $2, required = $3, min_selections = $4, max_selections = $5,
+         max_length = $6, price_delta = $7, active = $8, display_order = $9
+     WHERE id = $10`,
+    [group.name, group.type, group.required, group.minSelections, group.maxSelections, group.maxLength, group.priceDelta, group.active, group.displayOrder, existing.id]
+  );
+
+  res.json({
+    message: 'Modifier group updated successfully',
+    modifierGroup: await getGroup(existing.id),
+  });
+}));
+
+// Delete modifier group and its options (admin only)
+router.delete('/:groupId', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const existing = await findGroup(productId, req.params.groupId);
+
+  await query('DELETE FROM modifier_groups WHERE id = $1', [existing.id]);
+
+  res.json({ message: 'Modifier group deleted successfully' });
+}));
+
+// Add an option to a group (admin/staff only)
+router.post('/:groupId/options', authenticate, authorize('admin', 'staff', 'baker'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const group = await findGroup(productId, req.params.groupId);
+
+  if (group.type === 'text') {
+    throw new AppError('Text modifiers do not have options', 400);
+  }
+
+  const option = validateModifierOption(req.body);
+
+  const result = await query(
+    `INSERT INTO modifier_options (group_id, name, price_delta, active, display_order)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [group.id, option.name, option.priceDelta, option.active, option.displayOrder]
+  );
+
+  res.status(201).json({
+    message: 'Option created successfully',
+    option: result.rows[0],
+  });
+}));
+
+// Update an option (admin/staff only)
+router.put('/:groupId/options/:optionId', authenticate, authorize('admin', 'staff', 'baker'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const group = await findGroup(productId, req.params.groupId);
+
+  const existing = await query(
+    'SELECT * FROM modifier_options WHERE id = $1 AND group_id = $2',
+    [req.params.optionId, group.id]
+  );
+  if (existing.rows.length === 0) {
+    throw new AppError('Option not found', 404);
+  }
+
+  const option = validateModifierOption(req.body, existing.rows[0]);
+
+  const result = await query(
+    `UPDATE modifier_options SET name = $1, price_delta = $2, active = $3, display_order = $4
+     WHERE id = $5
+     RETURNING *`,
+    [option.name, option.priceDelta, option.active, option.displayOrder, existing.rows[0].id]
+  );
+
+  res.json({
+    message: 'Option updated successfully',
+    option: result.rows[0],
+  });
+}));
+
+// Delete an option (admin only)
+router.delete('/:groupId/options/:optionId', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const group = await findGroup(productId, req.params.groupId);
+
+  const result = await query(
+    'DELETE FROM modifier_options WHERE id = $1 AND group_id = $2 RETURNING id',
+    [req.params.optionId, group.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Option not found', 404);
+  }
+
+  res.json({ message: 'Option deleted successfully' });
+}));
+
+export default router;
@@ -0,0 +1,121 @@
+import express from 'express';
+import { query, getClient } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { getRecipeLines, linesForItem, deriveIngredientsText } from '../services/recipes.js';
+import { findProduct } from '../services/products.js';
+
+// Mounted at /api/products/:id/recipe
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate, authorize('admin', 'staff', 'baker'));
+
+const formatLine = (line) => ({
+  id: line.id,
+  variantId: line.variant_id,
+  ingredientId: line.ingredient_id,
+  name: line.name,
+  unit: line.unit,
+  quantity: line.quantity,
+});
+
+// The recipe as saved, plus the label text for the base product and each variant
+// that has its own lines
+const getRecipe = async (product) => {
+  const recipeLines = await getRecipeLines([product.id]);
+  const lines = recipeLines.get(product.id) || [];
+  const variantIds = [...new Set(lines.map(line => line.variant_id).filter(Boolean))];
+
+  return {
+    productId: product.id,
+    lines: lines.map(formatLine),
+    ingredientsText: deriveIngredientsText(linesForItem(recipeLines, { productId: product.id })),
+    variantIngredientsText: Object.fromEntries(variantIds.map(variantId => [
+      variantId,
+      deriveIngredientsText(linesForItem(recipeLines, { productId: product.id, variantId })),
+    ])),
+    savedIngredientsText: product.ingredients,
+  };
+};
+
+// Get a product's recipe (what goes into one unit)
+router.get('/', asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id);
+
+  res.json({ recipe: await getRecipe(product) });
+}));
+
+// Replace a product's recipe.
+// Body: { lines: [{ ingredientId, quantity, variantId? }], syncIngredientsText? }
+// syncIngredientsText writes the derived label text to products.ingredients.
+router.put('/', authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const product = await findProduct(req.params.id);
+  const { lines, syncIngredientsText = false } = req.body;
+
+  if (!Array.isArray(lines)) {
+    throw new AppError('Lines must be an array', 400);
+  }
+
+  const parsed = lines.map(line => ({
+    ingredientId: parseInt(line.ingredientId ?? line.ingredient_id),
+    variantId: line.variantId ?? line.variant_id ?? null,
+    quantity: parseFloat(line.quantity),
+  }));
+
+  for (const line of parsed) {
+    if (!Number.isInteger(line.ingredientId)) {
+      throw new AppError('Each line needs an ingredientId', 400);
+    }
+    if (!(line.quantity > 0)) {
+      throw new AppError('Each line needs a quantity greater than 0', 400);
+    }
+  }
+
+  const variantIds = [...new Set(parsed.map(line => line.variantId).filter(id => id !== null))];
+  if (variantIds.length > 0) {
+    const variants = await query(
+      'SELECT id FROM product_variants WHERE product_id = $1 AND id::text = ANY($2)',
+      [product.id, variantIds.map(String)]
+    );
+    if (variants.rows.length !== variantIds.length) {
+      throw new AppError('Recipe lines can only use variants of this product', 400);
+    }
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DELETE FROM recipe_lines WHERE product_id = $1', [product.id]);
+
+    for (const line of parsed) {
+      await client.query(
+        `INSERT INTO recipe_lines (product_id, variant_id, ingredient_id, quantity)
+         VALUES ($1, $2, $3, $4)`,
+        [product.id, line.variantId, line.ingredientId, line.quantity]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  let recipe = await getRecipe(product);
+
+  if (syncIngredientsText === true || syncIngredientsText === 'true') {
+    await query('UPDATE products SET ingredients = $1 WHERE id = $2', [recipe.ingredientsText || null, product.id]);
+    recipe = { ...recipe, savedIngredientsText: recipe.ingredientsText || null };
+  }
+
+  res.json({
+    message: 'Recipe updated successfully',
+    recipe,
+  });
+}));
+
+export default router;
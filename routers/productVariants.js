@@ -0,0 +1,202 @@
+import express from 'express';
+import { query } from '../config/database.js';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { parseCostFields, recordPriceChange } from '../services/costing.js';
+import { canSeeInactive, findProduct } from '../services/products.js';
+
+// Mounted at /api/products/:id/variants
+const router = express.Router({ mergeParams: true });
+
+const parsePrice = (price) => {
+  const parsed = parseFloat(price);
+  if (Number.isNaN(parsed) || parsed < 0) {
+    throw new AppError('Price must be a number of at least 0', 400);
+  }
+  return parsed;
+};
+
+const parseOptions = (options) => {
+  const parsed = typeof options === 'string' ? JSON.parse(options) : options;
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new AppError('Options must be an object, e.g. { "size": "10\\"" }', 400);
+  }
+  return parsed;
+};
+
+// Get a product's variants (public)
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+
+  let queryText = 'SELECT * FROM product_variants WHERE product_id = $1';
+
+  // Only show active variants to non-admin users
+  if (!canSeeInactive(req.user)) {
+    queryText += ' AND active = true';
+  }
+
+  queryText += ' ORDER BY display_order ASC, id ASC';
+
+  const result = await query(queryText, [productId]);
+
+  // Costs are internal - leave them out for customers
+  const variants = canSeeInactive(req.user)
+    ? result.rows
+    : result.rows.map(({ cost, ...variant }) => variant);
+
+  res.json({ variants });
+}));
+
+// Create variant (admin/staff only)
+router.post('/', authenticate, authorize('admin', 'staff', 'baker'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const {
+    name,
+    options = {},
+    price,
+    sku,
+    active = true,
+    display_order = 0,
+  } = req.body;
+
+  if (!name || price === undefined) {
+    throw new AppError('Name and price are required', 400);
+  }
+
+  const { cost = null } = parseCostFields({ cost: req.body.cost });
+
+  const result = await query(
+    `INSERT INTO product_variants (product_id, name, options, price, sku, active, display_order, cost)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [
+      productId,
+      name,
+      JSON.stringify(parseOptions(options)),
+      parsePrice(price),
+      sku || null,
+      active === 'true' || active === true,
+      parseInt(display_order) || 0,
+      cost,
+    ]
+  );
+
+  await recordPriceChange({ query }, {
+    productId,
+    variantId: result.rows[0].id,
+    price: result.rows[0].price,
+    userId: req.user.id,
+  });
+
+  res.status(201).json({
+    message: 'Variant created successfully',
+    variant: result.rows[0],
+  });
+}));
+
+// Update variant (admin/staff only)
+router.put('/:variantId', authenticate, authorize('admin', 'staff', 'baker'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+  const { variantId } = req.params;
+  const { name, options, price, sku, active, display_order } = req.body;
+
+  const existing = await query(
+    'SELECT id FROM product_variants WHERE id = $1 AND product_id = $2',
+    [variantId, productId]
+  );
+  if (existing.rows.length === 0) {
+    throw new AppError('Variant not found', 404);
+  }
+
+  // Build update query dynamically
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  if (name !== undefined) {
+    updates.push(`name = $${paramCount}`);
+    values.push(name);
+    paramCount++;
+  }
+
+  if (options !== undefined) {
+    updates.push(`options = $${paramCount}`);
+    values.push(JSON.stringify(parseOptions(options)));
+    paramCount++;
+  }
+
+  if (price !== undefined) {
+    updates.push(`price = $${paramCount}`);
+    values.push(parsePrice(price));
+    paramCount++;
+  }
+
+  if (sku !== undefined) {
+    updates.push(`sku = $${paramCount}`);
+    values.push(sku || null);
+    paramCount++;
+  }
+
+  if (active !== undefined) {
+    updates.push(`active = $${paramCount}`);
+    values.push(active === 'true' || active === true);
+    paramCount++;
+  }
+
+  if (display_order !== undefined) {
+    updates.push(`display_order = $${paramCount}`);
+    values.push(parseInt(display_order) || 0);
+    paramCount++;
+  }
+
+  const { cost } = parseCostFields({ cost: req.body.cost });
+
+  if (cost !== undefined) {
+    updates.push(`cost = $${paramCount}`);
+    values.push(cost);
+    paramCount++;
+  }
+
+  if (updates.length === 0) {
+    throw new AppError('No updates provided', 400);
+  }
+
+  values.push(variantId);
+
+  const result = await query(
+    `UPDATE product_variants SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+
+  if (price !== undefined) {
+    await recordPriceChange({ query }, {
+      productId,
+      variantId: result.rows[0].id,
+      price: result.rows[0].price,
+      userId: req.user.id,
+    });
+  }
+
+  res.json({
+    message: 'Variant updated successfully',
+    variant: result.rows[0],
+  });
+}));
+
+// Delete variant (admin only). Past order items keep the variant name and SKU.
+router.delete('/:variantId', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const { id: productId } = await findProduct(req.params.id);
+
+  const result = await query(
+    'DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING id',
+    [req.params.variantId, productId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Variant not found', 404);
+  }
+
+  res.json({ message: 'Variant deleted successfully' });
+}));
+
+export default router;
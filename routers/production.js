@@ -0,0 +1,39 @@
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { getSetting } from '../services/settings.js';
+import { localToday } from '../services/hours.js';
+import { getPrepList, prepListToCsv, prepListToHtml } from '../services/production.js';
+
+const router = express.Router();
+
+// Production routes are for the kitchen and front of house
+router.use(authenticate, authorize('admin', 'staff', 'baker'));
+
+// What to make for orders due on a date (defaults to today).
+// ?format=json (default), csv or html (printable)
+router.get('/prep-list', asyncHandler(async (req, res) => {
+  const date = req.query.date || localToday();
+  const format = req.query.format || 'json';
+
+  if (!['json', 'csv', 'html'].includes(format)) {
+    throw new AppError('Format must be json, csv or html', 400);
+  }
+
+  const prepList = await getPrepList(date);
+
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`prep-list-${date}.csv`);
+    return res.send(prepListToCsv(prepList));
+  }
+
+  if (format === 'html') {
+    const bakeryName = await getSetting('bakery_name');
+    return res.type('html').send(prepListToHtml(prepList, { bakeryName }));
+  }
+
+  res.json(prepList);
+}));
+
+export default router;
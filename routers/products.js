@@ -4,9 +4,51 @@ import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { uploadMultiple, handleUploadError } from '../middleware/upload.js';
 import { uploadToS3, deleteFromS3, extractKeyFromUrl } from '../config/s3.js';
+import variantsRouter from './productVariants.js';
+import modifiersRouter from './productModifiers.js';
+import recipeRouter from './productRecipes.js';
+import { SOLD_OUT_SQL } from '../services/inventory.js';
+import { parseCostFields, recordPriceChange } from '../services/costing.js';
+import { validateAvailability, listedNowSql, availableOnSql, localDateTime } from '../services/availability.js';
+import { isValidDate, isValidTime } from '../services/hours.js';
+import {
+  toPrefixQuery, searchMatchSql, searchRankSql, withSearchThreshold, buildFacets, suggestProducts, parseAllergens, parseDietaryTags,
+} from '../services/catalog.js';
+import {
+  categoryAndDescendantsSql, getBreadcrumbs, parseCategoryIds, setProductCategories, getProductCategories,
+} from '../services/categories.js';
+import { applySalePrices } from '../services/discounts.js';
 
 const router = express.Router();
 
+// Variants, modifiers and recipe of a product
+router.use('/:id/variants', variantsRouter);
+router.use('/:id/modifiers', modifiersRouter);
+router.use('/:id/recipe', recipeRouter);
+
+// Active variants of each product, in display order, and whether it is sold out
+const PRODUCT_EXTRA_COLUMNS = `
+  COALESCE((
+    SELECT json_agg(to_jsonb(v) || jsonb_build_object(
+      'sold_out', COALESCE(v.stock_quantity, p.stock_quantity, 1) <= 0
+    ) ORDER BY v.display_order, v.id)
+    FROM product_variants v
+    WHERE v.product_id = p.id AND v.active = true
+  ), '[]') as variants,
+  ARRAY(SELECT pc.category_id FROM product_categories pc WHERE pc.product_id = p.id ORDER BY pc.category_id) as category_ids,
+  ${SOLD_OUT_SQL} as sold_out`;
+
+const isStaff = (user) => user && ['admin', 'staff', 'baker'].includes(user.role);
+
+// Costs are internal - leave them out for customers
+const hideCosts = (product) => {
+  const visible = { ...product, variants: product.variants.map(variant => ({ ...variant })) };
+  delete visible.cost;
+  delete visible.cost_source;
+  visible.variants.forEach(variant => delete variant.cost);
+  return visible;
+};
+
 // Helper to generate slug
 const generateSlug = (name) => {
   return name
@@ -15,111 +57,191 @@ const generateSlug = (name) => {
     .replace(/(^-|-$)/g, '');
 };
 
-// Get all products (public)
+// Get all products (public). ?search= is ranked full-text search that
+// tolerates typos; facets count the matching products by category, allergen,
+// price band and dietary tag.
+// ?excludeAllergens=peanuts,dairy leaves out anything containing them;
+// ?dietary=vegan,gluten_free only keeps products with every tag.
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
-  const { category, featured, active, search, sort, order, limit, offset } = req.query;
+  const { category, featured, active, search, sort, order, limit, offset, availableOn, availableAt, minPrice, maxPrice } = req.query;
+  const excludeAllergens = parseAllergens(req.query.excludeAllergens);
+  const dietary = await parseDietaryTags(req.query.dietary);
 
-  let queryText = `
-    SELECT p.*, c.name as category_name, c.slug as category_slug
-    FROM products p
-    LEFT JOIN categories c ON p.category_id = c.id
-    WHERE 1=1
-  `;
+  if (availableOn !== undefined && !isValidDate(availableOn)) {
+    throw new AppError('availableOn must be in YYYY-MM-DD format', 400);
+  }
+  if (availableAt !== undefined && !isValidTime(availableAt)) {
+    throw new AppError('availableAt must be in HH:MM format', 400);
+  }
+
+  // Filters shared by the product and facet queries
+  let whereClause = 'WHERE 1=1';
   const params = [];
   let paramCount = 1;
 
   // Filter by active status - only admins can see inactive products
   if (!req.user || req.user.role === 'customer') {
-    queryText += ` AND p.active = true`;
+    whereClause += ` AND p.active = true`;
   } else if (active !== undefined) {
-    queryText += ` AND p.active = $${paramCount}`;
+    whereClause += ` AND p.active = $${paramCount}`;
     params.push(active === 'true');
     paramCount++;
   }
 
-  // Filter by category
+  // What can be ordered for ?availableOn (and ?availableAt). Without it,
+  // customers only see what is available now, plus pre-order items.
+  if (availableOn) {
+    whereClause += ` AND ${availableOnSql(`$${paramCount}`, `$${paramCount + 1}`)}`;
+    params.push(availableOn, availableAt || null);
+    paramCount += 2;
+  } else if (!isStaff(req.user)) {
+    const now = localDateTime();
+    whereClause += ` AND ${listedNowSql(`$${paramCount}`, `$${paramCount + 1}`)}`;
+    params.push(now.date, now.time);
+    paramCount += 2;
+  }
+
+  // Filter by category, including its subcategories. Products are listed in
+  // every category they belong to, not just their primary one.
+  let positionSql = null;
+
   if (category) {
-    queryText += ` AND (c.slug = $${paramCount} OR c.id::text = $${paramCount})`;
+    whereClause += ` AND p.id IN (
+      SELECT pc.product_id FROM product_categories pc
+      WHERE pc.category_id IN ${categoryAndDescendantsSql(`$${paramCount}`)})`;
+    // Manual order within the category itself; subcategory products follow
+    positionSql = `(SELECT pc.display_order FROM product_categories pc
+      JOIN categories pcc ON pc.category_id = pcc.id
+      WHERE pc.product_id = p.id AND (pcc.slug = $${paramCount} OR pcc.id::text = $${paramCount}))`;
     params.push(category);
     paramCount++;
   }
 
   // Filter by featured
   if (featured !== undefined) {
-    queryText += ` AND p.featured = $${paramCount}`;
+    whereClause += ` AND p.featured = $${paramCount}`;
     params.push(featured === 'true');
     paramCount++;
   }
 
-  // Search
-  if (search) {
-    queryText += ` AND (p.name ILIKE $${paramCount} OR p.description ILIKE $${paramCount})`;
-    params.push(`%${search}%`);
+  // Filter by price - maxPrice is exclusive, matching the price band facets
+  if (minPrice !== undefined) {
+    whereClause += ` AND p.price >= $${paramCount}`;
+    params.push(parseFloat(minPrice));
     paramCount++;
   }
 
-  // Sorting
-  const validSortFields = ['name', 'price', 'created_at', 'updated_at'];
-  const sortField = validSortFields.includes(sort) ? sort : 'created_at';
-  const sortOrder = order === 'asc' ? 'ASC' : 'DESC';
-  queryText += ` ORDER BY p.${sortField} ${sortOrder}`;
+  if (maxPrice !== undefined) {
+    whereClause += ` AND p.price < $${paramCount}`;
+    params.push(parseFloat(maxPrice));
+    paramCount++;
+  }
 
-  // Pagination
-  if (limit) {
-    queryText += ` LIMIT $${paramCount}`;
-    params.push(parseInt(limit));
+  if (excludeAllergens.length > 0) {
+    whereClause += ` AND NOT (COALESCE(p.allergens, '{}') && $${paramCount}::text[])`;
+    params.push(excludeAllergens);
     paramCount++;
   }
 
-  if (offset) {
-    queryText += ` OFFSET $${paramCount}`;
-    params.push(parseInt(offset));
+  if (dietary.length > 0) {
+    whereClause += ` AND COALESCE(p.dietary_tags, '{}') @> $${paramCount}::text[]`;
+    params.push(dietary);
     paramCount++;
   }
 
-  const result = await query(queryText, params);
+  // Search name, category, description and ingredients
+  const searchQuery = toPrefixQuery(search);
+  let rankSql = null;
+
+  if (searchQuery) {
+    whereClause += ` AND ${searchMatchSql(`$${paramCount}`, `$${paramCount + 1}`)}`;
+    rankSql = searchRankSql(`$${paramCount}`, `$${paramCount + 1}`);
+    params.push(searchQuery, search);
+    paramCount += 2;
+  }
 
-  // Get total count for pagination
-  let countQuery = `
-    SELECT COUNT(*) FROM products p
+  // Sorting - best match first when searching, and the category's manual
+  // order when browsing a category, unless another order is asked for
+  const validSortFields = ['name', 'price', 'created_at', 'updated_at'];
+  const sortOrder = order === 'asc' ? 'ASC' : 'DESC';
+  let orderBy;
+  if (rankSql && !validSortFields.includes(sort)) {
+    orderBy = `relevance DESC, p.name ASC`;
+  } else if (positionSql && (sort === 'position' || !validSortFields.includes(sort))) {
+    orderBy = `${positionSql} ASC NULLS LAST, p.name ASC`;
+  } else {
+    orderBy = `p.${validSortFields.includes(sort) ? sort : 'created_at'} ${sortOrder}`;
+  }
+
+  let queryText = `
+    SELECT p.*, c.name as category_name, c.slug as category_slug, ${PRODUCT_EXTRA_COLUMNS}${rankSql ? `,
+      ${rankSql} as relevance` : ''}
+    FROM products p
     LEFT JOIN categories c ON p.category_id = c.id
-    WHERE 1=1
+    ${whereClause}
+    ORDER BY ${orderBy}
   `;
-  const countParams = [];
-  let countParamCount = 1;
+  const pageParams = [...params];
+  let pageParamCount = paramCount;
 
-  if (!req.user || req.user.role === 'customer') {
-    countQuery += ` AND p.active = true`;
-  } else if (active !== undefined) {
-    countQuery += ` AND p.active = $${countParamCount}`;
-    countParams.push(active === 'true');
-    countParamCount++;
+  // Pagination
+  if (limit) {
+    queryText += ` LIMIT $${pageParamCount}`;
+    pageParams.push(parseInt(limit));
+    pageParamCount++;
   }
 
-  if (category) {
-    countQuery += ` AND (c.slug = $${countParamCount} OR c.id::text = $${countParamCount})`;
-    countParams.push(category);
-    countParamCount++;
-  }
+  if (offset) {
+    queryText += ` OFFSET $${pageParamCount}`;
+    pageParams.push(parseInt(offset));
+    pageParamCount++;
+  }
+
+  // The page, then the total and facets, which cover every matching product
+  const listProducts = async (run) => [
+    await run(queryText, pageParams),
+    await run(
+      `SELECT p.price, p.allergens, p.dietary_tags,
+         COALESCE((
+           SELECT json_agg(json_build_object('id', mc.id, 'name', mc.name, 'slug', mc.slug))
+           FROM product_categories mpc
+           JOIN categories mc ON mpc.category_id = mc.id
+           WHERE mpc.product_id = p.id
+         ), '[]') as categories
+       FROM products p
+       LEFT JOIN categories c ON p.category_id = c.id
+       ${whereClause}`,
+      params
+    ),
+  ];
+  const [result, facetResult] = await (searchQuery ? withSearchThreshold(listProducts) : listProducts(query));
+
+  // Automatic specials show as sale prices and badges
+  res.json({
+    products: await applySalePrices(isStaff(req.user) ? result.rows : result.rows.map(hideCosts)),
+    total: facetResult.rows.length,
+    facets: buildFacets(facetResult.rows),
+  });
+}));
 
-  if (featured !== undefined) {
-    countQuery += ` AND p.featured = $${countParamCount}`;
-    countParams.push(featured === 'true');
-    countParamCount++;
-  }
+// Autocomplete product names (public). Customers only get products they can order.
+router.get('/suggest', optionalAuth, asyncHandler(async (req, res) => {
+  const { q, limit = 8 } = req.query;
 
-  if (search) {
-    countQuery += ` AND (p.name ILIKE $${countParamCount} OR p.description ILIKE $${countParamCount})`;
-    countParams.push(`%${search}%`);
-    countParamCount++;
+  if (!q || q.trim().length < 2) {
+    return res.json({ suggestions: [] });
   }
 
-  const countResult = await query(countQuery, countParams);
-
-  res.json({
-    products: result.rows,
-    total: parseInt(countResult.rows[0].count),
+  const now = localDateTime();
+  const suggestions = await suggestProducts(q.trim(), {
+    limit: Math.min(parseInt(limit) || 8, 20),
+    ...(!isStaff(req.user) && {
+      extraWhere: `AND p.active = true AND ${listedNowSql('$3', '$4')}`,
+      extraParams: [now.date, now.time],
+    }),
   });
+
+  res.json({ suggestions });
 }));
 
 // Get single product by ID or slug (public)
@@ -127,14 +249,14 @@ router.get('/:idOrSlug', optionalAuth, asyncHandler(async (req, res) => {
   const { idOrSlug } = req.params;
 
   let queryText = `
-    SELECT p.*, c.name as category_name, c.slug as category_slug
+    SELECT p.*, c.name as category_name, c.slug as category_slug, ${PRODUCT_EXTRA_COLUMNS}
     FROM products p
     LEFT JOIN categories c ON p.category_id = c.id
     WHERE (p.id::text = $1 OR p.slug = $1)
   `;
 
   // Only show active products to non-admin users
-  if (!req.user || !['admin', 'staff', 'baker'].includes(req.user.role)) {
+  if (!isStaff(req.user)) {
     queryText += ` AND p.active = true`;
   }
 
@@ -144,7 +266,11 @@ router.get('/:idOrSlug', optionalAuth, asyncHandler(async (req, res) => {
     throw new AppError('Product not found', 404);
   }
 
-  res.json({ product: result.rows[0] });
+  const [product] = await applySalePrices([isStaff(req.user) ? result.rows[0] : hideCosts(result.rows[0])]);
+  product.breadcrumbs = await getBreadcrumbs(product.category_id);
+  product.categories = await getProductCategories(product.id);
+
+  res.json({ product });
 }));
 
 // Create product (admin/staff only)
@@ -157,6 +283,7 @@ router.post('/', authenticate, authorize('admin', 'staff', 'baker'), uploadMulti
     featured = false,
     active = true,
     allergens,
+    dietary_tags,
     ingredients,
     nutrition_info,
     servings,
@@ -185,16 +312,33 @@ router.post('/', authenticate, authorize('admin', 'staff', 'baker'), uploadMulti
   }
 
   // Parse arrays if they're strings
-  const parsedAllergens = typeof allergens === 'string' ? JSON.parse(allergens) : allergens;
+  const parsedAllergens = parseAllergens(allergens);
+  const parsedDietaryTags = await parseDietaryTags(dietary_tags);
   const parsedNutrition = typeof nutrition_info === 'string' ? JSON.parse(nutrition_info) : nutrition_info;
+  const { cost = null, costSource = 'manual' } = parseCostFields(req.body);
+  const availability = validateAvailability(req.body.availability);
+  // Every category the product is listed in; the first is the primary
+  // category unless category_id says otherwise
+  const categoryIds = await parseCategoryIds(req.body.category_ids);
+  const primaryCategoryId = category_id || categoryIds[0] || null;
 
   const result = await query(
-    `INSERT INTO products (name, slug, description, price, category_id, images, featured, active, allergens, ingredients, nutrition_info, servings)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `INSERT INTO products (name, slug, description, price, category_id, images, featured, active, allergens, dietary_tags, ingredients, nutrition_info, servings, cost, cost_source, availability)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
      RETURNING *`,
-    [name, slug, description, parseFloat(price), category_id || null, imageUrls, featured === 'true' || featured === true, active === 'true' || active === true, parsedAllergens || [], ingredients, parsedNutrition || null, servings]
+    [name, slug, description, parseFloat(price), primaryCategoryId, imageUrls, featured === 'true' || featured === true, active === 'true' || active === true, parsedAllergens, parsedDietaryTags, ingredients, parsedNutrition || null, servings, cost, costSource, availability]
   );
 
+  await recordPriceChange({ query }, {
+    productId: result.rows[0].id,
+    price: result.rows[0].price,
+    userId: req.user.id,
+  });
+
+  if (categoryIds.length > 0) {
+    await setProductCategories({ query }, result.rows[0].id, categoryIds);
+  }
+
   res.status(201).json({
     message: 'Product created successfully',
     product: result.rows[0],
@@ -212,6 +356,7 @@ router.put('/:id', authenticate, authorize('admin', 'staff', 'baker'), uploadMul
     featured,
     active,
     allergens,
+    dietary_tags,
     ingredients,
     nutrition_info,
     servings,
@@ -298,6 +443,19 @@ router.put('/:id', authenticate, authorize('admin', 'staff', 'baker'), uploadMul
     paramCount++;
   }
 
+  // Every category the product is listed in. If the primary category isn't
+  // one of them it becomes the first.
+  let categoryIds;
+  if (req.body.category_ids !== undefined) {
+    categoryIds = await parseCategoryIds(req.body.category_ids);
+
+    if (category_id === undefined && !categoryIds.includes(product.category_id)) {
+      updates.push(`category_id = $${paramCount}`);
+      values.push(categoryIds[0] || null);
+      paramCount++;
+    }
+  }
+
   if (imageUrls.length > 0 || (existingImages !== undefined)) {
     updates.push(`images = $${paramCount}`);
     values.push(imageUrls);
@@ -318,8 +476,13 @@ router.put('/:id', authenticate, authorize('admin', 'staff', 'baker'), uploadMul
 
   if (allergens !== undefined) {
     updates.push(`allergens = $${paramCount}`);
-    const parsedAllergens = typeof allergens === 'string' ? JSON.parse(allergens) : allergens;
-    values.push(parsedAllergens);
+    values.push(parseAllergens(allergens));
+    paramCount++;
+  }
+
+  if (dietary_tags !== undefined) {
+    updates.push(`dietary_tags = $${paramCount}`);
+    values.push(await parseDietaryTags(dietary_tags));
     paramCount++;
   }
 
@@ -342,8 +505,32 @@ router.put('/:id', authenticate, authorize('admin', 'staff', 'baker'), uploadMul
     paramCount++;
   }
 
+  const costFields = parseCostFields(req.body);
+
+  if (costFields.cost !== undefined) {
+    updates.push(`cost = $${paramCount}`);
+    values.push(costFields.cost);
+    paramCount++;
+  }
+
+  if (costFields.costSource !== undefined) {
+    updates.push(`cost_source = $${paramCount}`);
+    values.push(costFields.costSource);
+    paramCount++;
+  }
+
+  // Date ranges, weekdays, time of day and pre-order rules; null = always available
+  if (req.body.availability !== undefined) {
+    updates.push(`availability = $${paramCount}`);
+    values.push(validateAvailability(req.body.availability));
+    paramCount++;
+  }
+
   if (updates.length === 0) {
-    throw new AppError('No updates provided', 400);
+    if (categoryIds === undefined) {
+      throw new AppError('No updates provided', 400);
+    }
+    updates.push('updated_at = CURRENT_TIMESTAMP');
   }
 
   values.push(id);
@@ -353,12 +540,68 @@ router.put('/:id', authenticate, authorize('admin', 'staff', 'baker'), uploadMul
     values
   );
 
+  // Keep the old price on record
+  if (price !== undefined) {
+    await recordPriceChange({ query }, { productId: product.id, price: result.rows[0].price, userId: req.user.id });
+  }
+
+  if (categoryIds !== undefined) {
+    await setProductCategories({ query }, product.id, categoryIds);
+  } else if (category_id !== undefined && product.category_id && String(product.category_id) !== String(category_id || '')) {
+    // Changing only the primary category moves the product out of the old one
+    await query(
+      'DELETE FROM product_categories WHERE product_id = $1 AND category_id = $2',
+      [product.id, product.category_id]
+    );
+  }
+
   res.json({
     message: 'Product updated successfully',
     product: result.rows[0],
   });
 }));
 
+// Price history for a product and its variants, newest first (admin/staff only)
+router.get('/:id/price-history', authenticate, authorize('admin', 'staff', 'baker'), asyncHandler(async (req, res) => {
+  const { variantId } = req.query;
+
+  const existing = await query('SELECT id FROM products WHERE id::text = $1', [req.params.id]);
+  if (existing.rows.length === 0) {
+    throw new AppError('Product not found', 404);
+  }
+
+  let queryText = `
+    SELECT h.*, v.name as variant_name, u.name as changed_by_name
+    FROM product_price_history h
+    LEFT JOIN product_variants v ON h.variant_id = v.id
+    LEFT JOIN users u ON h.changed_by = u.id
+    WHERE h.product_id = $1
+  `;
+  const params = [existing.rows[0].id];
+
+  if (variantId) {
+    queryText += ' AND h.variant_id = $2';
+    params.push(variantId);
+  }
+
+  queryText += ' ORDER BY h.effective_from DESC, h.id DESC';
+
+  const result = await query(queryText, params);
+
+  res.json({
+    history: result.rows.map(row => ({
+      id: row.id,
+      variantId: row.variant_id,
+      variantName: row.variant_name,
+      price: parseFloat(row.price),
+      previousPrice: row.previous_price !== null ? parseFloat(row.previous_price) : null,
+      effectiveFrom: row.effective_from,
+      effectiveTo: row.effective_to,
+      changedBy: row.changed_by_name,
+    })),
+  });
+}));
+
 // Delete product (admin only)
 router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
   const { id } = req.params;
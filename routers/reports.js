@@ -0,0 +1,225 @@
+import express from 'express';
+import { query } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { isValidDate, localToday, addDays } from '../services/hours.js';
+import { LIST_PRICE_AT_ORDER_SQL, getUnitCosts, calculateMargin } from '../services/costing.js';
+
+const router = express.Router();
+
+// Reports are for admins and staff
+router.use(authenticate, authorize('admin', 'staff'));
+
+// Date range from ?from=&to= (inclusive, bakery-local), defaulting to the last 30 days
+const parseRange = ({ from, to }) => {
+  const end = to || localToday();
+  if (!isValidDate(end) || (from && !isValidDate(from))) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+
+  const start = from || addDays(end, -29);
+  if (start > end) {
+    throw new AppError('from must not be after to', 400);
+  }
+
+  return { from: start, to: end, params: [new Date(`${start}T00:00`), new Date(`${addDays(end, 1)}T00:00`)] };
+};
+
+const costKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+// Current price, unit cost and margin for every product and variant
+router.get('/margins', asyncHandler(async (req, res) => {
+  const { category, active } = req.query;
+
+  let queryText = `
+    SELECT p.id, p.name, p.price, p.cost_source, p.active, c.name as category_name,
+           COALESCE(json_agg(json_build_object('id', v.id, 'name', v.name, 'price', v.price, 'active', v.active)
+             ORDER BY v.display_order, v.id) FILTER (WHERE v.id IS NOT NULL), '[]') as variants
+    FROM products p
+    LEFT JOIN categories c ON p.category_id = c.id
+    LEFT JOIN product_variants v ON v.product_id = p.id
+    WHERE 1=1
+  `;
+  const params = [];
+  let paramCount = 1;
+
+  if (active !== undefined) {
+    queryText += ` AND p.active = $${paramCount}`;
+    params.push(active === 'true');
+    paramCount++;
+  }
+
+  if (category) {
+    queryText += ` AND (c.slug = $${paramCount} OR c.id::text = $${paramCount})`;
+    params.push(category);
+    paramCount++;
+  }
+
+  queryText += ' GROUP BY p.id, c.name ORDER BY p.name ASC';
+
+  const result = await query(queryText, params);
+  const costs = await getUnitCosts(result.rows.map(row => row.id));
+
+  const describe = (price, cost) => ({
+    price,
+    cost: cost.cost,
+    costComplete: cost.complete,
+    ...calculateMargin(price, cost.cost),
+  });
+
+  const products = result.rows.map(row => ({
+    productId: row.id,
+    name: row.name,
+    categoryName: row.category_name,
+    active: row.active,
+    costSource: row.cost_source,
+    ...describe(parseFloat(row.price), costs.get(costKey(row.id))),
+    variants: row.variants.map(variant => ({
+      variantId: variant.id,
+      name: variant.name,
+      active: variant.active,
+      ...describe(parseFloat(variant.price), costs.get(costKey(row.id, variant.id))),
+    })),
+  }));
+
+  res.json({ products });
+}));
+
+// Sales by product and variant over a date range: what was charged, what the
+// list prices were at the time, and the estimated margin at today's costs.
+// Cancelled orders are left out.
+router.get('/sales', asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+
+  const result = await query(
+    `SELECT oi.product_id, oi.variant_id, MAX(oi.product_name) as product_name, MAX(oi.variant_name) as variant_name,
+            SUM(oi.quantity) as quantity,
+            SUM(oi.total_price) as revenue,
+            SUM(${LIST_PRICE_AT_ORDER_SQL} * oi.quantity) as list_revenue,
+            COUNT(*) FILTER (WHERE ${LIST_PRICE_AT_ORDER_SQL} IS NULL) as items_without_list_price,
+            SUM(COALESCE((SELECT SUM(m.price_delta) FROM order_item_modifiers m WHERE m.order_item_id = oi.id), 0) * oi.quantity) as modifier_revenue
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE o.status != 'cancelled'
+     AND o.created_at >= $1 AND o.created_at < $2
+     GROUP BY oi.product_id, oi.variant_id
+     ORDER BY revenue DESC`,
+    range.params
+  );
+
+  const costs = await getUnitCosts(result.rows.map(row => row.product_id).filter(Boolean));
+
+  const items = result.rows.map(row => {
+    const quantity = parseInt(row.quantity);
+    const revenue = parseFloat(row.revenue);
+    const unitCost = row.product_id ? costs.get(costKey(row.product_id, row.variant_id))?.cost ?? null : null;
+    const estimatedCost = unitCost !== null ? Math.round(unitCost * quantity * 100) / 100 : null;
+
+    return {
+      productId: row.product_id,
+      variantId: row.variant_id,
+      productName: row.product_name,
+      variantName: row.variant_name,
+      quantity,
+      revenue,
+      listRevenue: row.list_revenue !== null ? parseFloat(row.list_revenue) : null,
+      modifierRevenue: parseFloat(row.modifier_revenue),
+      listPriceComplete: parseInt(row.items_without_list_price) === 0,
+      unitCost,
+      estimatedCost,
+      ...calculateMargin(revenue, estimatedCost),
+    };
+  });
+
+  const sum = (key) => Math.round(items.reduce((total, item) => total + (item[key] || 0), 0) * 100) / 100;
+
+  res.json({
+    from: range.from,
+    to: range.to,
+    items,
+    totals: {
+      quantity: sum('quantity'),
+      revenue: sum('revenue'),
+      listRevenue: sum('listRevenue'),
+      modifierRevenue: sum('modifierRevenue'),
+      estimatedCost: sum('estimatedCost'),
+    },
+  });
+}));
+
+// Every order item over a date range with the list price in effect when it
+// was ordered alongside the unit price charged
+router.get('/sales/items', asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  const { productId, page = 1, limit = 50 } = req.query;
+  const offset = (page - 1) * limit;
+
+  let whereClause = `WHERE o.status != 'cancelled' AND o.created_at >= $1 AND o.created_at < $2`;
+  const params = [...range.params];
+  let paramCount = 3;
+
+  if (productId) {
+    whereClause += ` AND oi.product_id = $${paramCount}`;
+    params.push(productId);
+    paramCount++;
+  }
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM order_items oi JOIN orders o ON o.id = oi.order_id ${whereClause}`,
+    params
+  );
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  params.push(limit, offset);
+
+  const result = await query(
+    `SELECT oi.*, o.order_number, o.created_at as ordered_at,
+            ${LIST_PRICE_AT_ORDER_SQL} as list_price,
+            COALESCE((SELECT SUM(m.price_delta) FROM order_item_modifiers m WHERE m.order_item_id = oi.id), 0) as modifier_total
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     ${whereClause}
+     ORDER BY o.created_at DESC, oi.id ASC
+     LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+    params
+  );
+
+  const items = result.rows.map(row => {
+    const listPrice = row.list_price !== null ? parseFloat(row.list_price) : null;
+    const modifierTotal = parseFloat(row.modifier_total);
+    const unitPrice = parseFloat(row.unit_price);
+
+    return {
+      orderItemId: row.id,
+      orderId: row.order_id,
+      orderNumber: row.order_number,
+      orderedAt: row.ordered_at,
+      productId: row.product_id,
+      productName: row.product_name,
+      variantId: row.variant_id,
+      variantName: row.variant_name,
+      quantity: row.quantity,
+      listPrice,
+      modifierTotal,
+      unitPrice,
+      // Charged minus list price plus options: non-zero when the price changed
+      // between adding to cart and paying, or for legacy orders
+      priceDifference: listPrice !== null ? Math.round((unitPrice - listPrice - modifierTotal) * 100) / 100 : null,
+      totalPrice: parseFloat(row.total_price),
+    };
+  });
+
+  res.json({
+    from: range.from,
+    to: range.to,
+    items,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+    },
+  });
+}));
+
+export default router;
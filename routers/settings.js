@@ -1,46 +1,50 @@
 import express from 'express';
 import { query } from '../config/database.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { defaultSettings } from '../services/settings.js';
+import { validateTaxSettings, publicTaxSettings } from '../services/tax.js';
+import { validateDeliverySettings } from '../services/delivery.js';
+import { validatePickupSettings } from '../services/pickupSlots.js';
+import {
+  validateHoursSettings,
+  validateHoursException,
+  getHoursExceptions,
+  getHoursException,
+  getEffectiveHours,
+  isValidDate,
+  localToday,
+  addDays,
+} from '../services/hours.js';
 
 const router = express.Router();
 
-// Default settings
-const defaultSettings = {
-  bakery_name: 'Llama Treats Bakery',
-  tagline: 'Handcrafted with love',
-  phone: '(555) 123-4567',
-  email: 'hello@llamatreats.com',
-  address: '123 Baker Street, Llamaville, CA 90210',
-  hours: {
-    monday: { open: '07:00', close: '18:00', closed: false },
-    tuesday: { open: '07:00', close: '18:00', closed: false },
-    wednesday: { open: '07:00', close: '18:00', closed: false },
-    thursday: { open: '07:00', close: '18:00', closed: false },
-    friday: { open: '07:00', close: '19:00', closed: false },
-    saturday: { open: '08:00', close: '17:00', closed: false },
-    sunday: { open: '09:00', close: '15:00', closed: false },
-  },
-  social: {
-    facebook: '',
-    instagram: '',
-    twitter: '',
-    tiktok: '',
-  },
-  notifications: {
-    email_new_order: true,
-    email_low_stock: true,
-    sms_new_order: false,
-  },
-  theme: {
-    primary_color: '#8B4513',
-    secondary_color: '#DEB887',
-    accent_color: '#CD853F',
-  },
+// Settings that other parts of the API compute with are validated before saving
+const settingValidators = {
+  tax: validateTaxSettings,
+  delivery: validateDeliverySettings,
+  pickup: validatePickupSettings,
+  hours: validateHoursSettings,
+};
+
+const validateSetting = (key, value) => {
+  if (settingValidators[key]) {
+    settingValidators[key](value);
+  }
+};
+
+// Parts of settings only admins may read
+const settingFilters = {
+  tax: publicTaxSettings,
+};
+
+const visibleSetting = (req, key, value) => {
+  const isAdmin = req.user?.role === 'admin';
+  return !isAdmin && settingFilters[key] ? settingFilters[key](value) : value;
 };
 
 // Get all settings (public for some, admin for all)
-router.get('/', asyncHandler(async (req, res) => {
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   const result = await query('SELECT key, value FROM settings');
 
   // Convert to object
@@ -54,12 +58,93 @@ router.get('/', asyncHandler(async (req, res) => {
   for (const key of Object.keys(settings)) {
     mergedSettings[key] = settings[key];
   }
+  for (const key of Object.keys(mergedSettings)) {
+    mergedSettings[key] = visibleSetting(req, key, mergedSettings[key]);
+  }
 
   res.json({ settings: mergedSettings });
 }));
 
+// Resolved opening hours per date, including closures and special hours (public)
+router.get('/hours/effective', asyncHandler(async (req, res) => {
+  const from = req.query.from || localToday();
+  if (!isValidDate(from) || (req.query.to && !isValidDate(req.query.to))) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+  const to = req.query.to || addDays(from, 6);
+
+  const days = await getEffectiveHours(from, to);
+
+  res.json({ from, to, days });
+}));
+
+// List hours exceptions, optionally only those overlapping from..to (admin only)
+router.get('/hours/exceptions', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+
+  const exceptions = await getHoursExceptions(from || null, to || null);
+
+  res.json({ exceptions });
+}));
+
+// Add a closure or special hours (admin only)
+router.post('/hours/exceptions', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const exception = validateHoursException(req.body);
+
+  const result = await query(
+    `INSERT INTO hours_exceptions (start_date, end_date, closed, open_time, close_time, message)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [exception.startDate, exception.endDate, exception.closed, exception.openTime, exception.closeTime, exception.message]
+  );
+
+  res.status(201).json({
+    message: 'Hours exception created successfully',
+    exception: await getHoursException(result.rows[0].id),
+  });
+}));
+
+// Update a closure or special hours (admin only)
+router.put('/hours/exceptions/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await getHoursException(id);
+  if (!existing) {
+    throw new AppError('Hours exception not found', 404);
+  }
+
+  const exception = validateHoursException(req.body, existing);
+
+  await query(
+    `UPDATE hours_exceptions
+     SET start_date = $1, end_date = $2, closed = $3, open_time = $4, close_time = $5, message = $6
+     WHERE id = $7`,
+    [exception.startDate, exception.endDate, exception.closed, exception.openTime, exception.closeTime, exception.message, id]
+  );
+
+  res.json({
+    message: 'Hours exception updated successfully',
+    exception: await getHoursException(id),
+  });
+}));
+
+// Delete a closure or special hours (admin only)
+router.delete('/hours/exceptions/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const result = await query('DELETE FROM hours_exceptions WHERE id = $1 RETURNING id', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Hours exception not found', 404);
+  }
+
+  res.json({ message: 'Hours exception deleted successfully' });
+}));
+
 // Get single setting by key
-router.get('/:key', asyncHandler(async (req, res) => {
+router.get('/:key', optionalAuth, asyncHandler(async (req, res) => {
   const { key } = req.params;
 
   const result = await query('SELECT value FROM settings WHERE key = $1', [key]);
@@ -67,12 +152,12 @@ router.get('/:key', asyncHandler(async (req, res) => {
   if (result.rows.length === 0) {
     // Return default if exists
     if (defaultSettings[key] !== undefined) {
-      return res.json({ key, value: defaultSettings[key] });
+      return res.json({ key, value: visibleSetting(req, key, defaultSettings[key]) });
     }
     throw new AppError('Setting not found', 404);
   }
 
-  res.json({ key, value: result.rows[0].value });
+  res.json({ key, value: visibleSetting(req, key, result.rows[0].value) });
 }));
 
 // Update or create setting (admin only)
@@ -84,6 +169,8 @@ router.put('/:key', authenticate, authorize('admin'), asyncHandler(async (req, r
     throw new AppError('Value is required', 400);
   }
 
+  validateSetting(key, value);
+
   const result = await query(
     `INSERT INTO settings (key, value)
      VALUES ($1, $2)
@@ -107,6 +194,10 @@ router.put('/', authenticate, authorize('admin'), asyncHandler(async (req, res)
     throw new AppError('Settings object is required', 400);
   }
 
+  for (const [key, value] of Object.entries(settings)) {
+    validateSetting(key, value);
+  }
+
   const updatedSettings = {};
 
   for (const [key, value] of Object.entries(settings)) {
@@ -4,9 +4,53 @@ import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { uploadSingle, handleUploadError } from '../middleware/upload.js';
 import { uploadToS3, deleteFromS3, extractKeyFromUrl } from '../config/s3.js';
+import { requireCustomerAllowance } from '../services/redemptions.js';
+import { optionalCustomer } from './customers.js';
+import { generatePromoCodes, listPromoCodes, voidPromoCode, promoCodesToCsv } from '../services/promoCodes.js';
+import { priceItems, findPromoSpecial } from '../services/pricing.js';
+import {
+  SPECIAL_TYPES, STACKING_MODES, evaluateSpecial, getTargetProductIds, validateSpecialValue, chooseDiscounts, findAutoSpecials,
+} from '../services/discounts.js';
+import { toDollars } from '../services/money.js';
 
 const router = express.Router();
 
+// Per-customer use limit from a request (empty = no limit)
+const parseMaxUsesPerCustomer = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new AppError('max_uses_per_customer must be a whole number of at least 1', 400);
+  }
+  return limit;
+};
+
+const parseStacking = (value) => {
+  if (!STACKING_MODES.includes(value)) {
+    throw new AppError(`stacking must be one of: ${STACKING_MODES.join(', ')}`, 400);
+  }
+  return value;
+};
+
+// Specials either have a promo code or are applied automatically. Use limits
+// are counted per promo code, so automatic specials can't have them.
+const checkCodeOrAutoApply = ({ autoApply, code, maxUses, maxUsesPerCustomer }) => {
+  if (!autoApply) {
+    if (!code) {
+      throw new AppError('Promo code is required unless the special is applied automatically', 400);
+    }
+    return;
+  }
+
+  if (code) {
+    throw new AppError('Automatically applied specials do not use a promo code', 400);
+  }
+  if (maxUses || maxUsesPerCustomer) {
+    throw new AppError('Use limits only apply to specials with a promo code', 400);
+  }
+};
+
 // Get all specials (public - only active and within date range)
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   const { active, includeExpired } = req.query;
@@ -96,250 +140,201 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
   res.json({ special });
 }));
 
-// Validate promo code and calculate discount
-router.post('/validate-code', asyncHandler(async (req, res) => {
-  const { code, subtotal, items } = req.body;
+// Products for showing which items a special covers (null = everything)
+const listProducts = async (productIds) => {
+  if (!productIds) return [];
+
+  const result = await query(
+    'SELECT id, name, price, images, category_id FROM products WHERE id = ANY($1) AND active = true ORDER BY name ASC',
+    [productIds]
+  );
+  return result.rows;
+};
+
+// Validate promo code and calculate discount. The cart is priced from the
+// catalog and run through the same discount engine as checkout.
+router.post('/validate-code', optionalCustomer, asyncHandler(async (req, res) => {
+  const { code, items } = req.body;
+  const selectedFreeItems = req.body.selectedFreeItems || req.body.selected_free_items || [];
 
   if (!code) {
     throw new AppError('Promo code is required', 400);
   }
 
-  const result = await query(
-    `SELECT * FROM specials
-     WHERE code = $1
-     AND active = true
-     AND start_date <= NOW()
-     AND end_date >= NOW()
-     AND (max_uses IS NULL OR used_count < max_uses)`,
-    [code.toUpperCase()]
-  );
+  const special = await findPromoSpecial(code);
 
-  if (result.rows.length === 0) {
+  if (!special) {
     return res.status(400).json({
       valid: false,
       error: 'Invalid or expired promo code',
     });
   }
 
-  const special = result.rows[0];
+  // Per-customer limits are only checked for a signed-in customer, so this
+  // can't be used to find out who has used a code; checkout checks them
+  // again with the order's email
+  if (special.max_uses_per_customer && req.customer) {
+    try {
+      await requireCustomerAllowance(special, { customerId: req.customer.id, email: req.customer.email });
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      return res.status(400).json({
+        valid: false,
+        error: error.message,
+      });
+    }
+  }
 
-  // Check minimum purchase requirement
-  if (special.min_purchase && subtotal < special.min_purchase) {
+  if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({
       valid: false,
-      error: `Minimum purchase of $${special.min_purchase.toFixed(2)} required`,
+      error: 'Add items to your cart to use a promo code',
     });
   }
 
-  // Get qualifying products if product_ids or category_ids are set
-  let qualifyingProducts = [];
-  if (special.product_ids && special.product_ids.length > 0) {
-    const productsResult = await query(
-      'SELECT id, name, price, images FROM products WHERE id = ANY($1) AND active = true',
-      [special.product_ids]
-    );
-    qualifyingProducts = productsResult.rows;
-  } else if (special.category_ids && special.category_ids.length > 0) {
-    const productsResult = await query(
-      'SELECT id, name, price, images, category_id FROM products WHERE category_id = ANY($1) AND active = true',
-      [special.category_ids]
-    );
-    qualifyingProducts = productsResult.rows;
-  }
-
-  // Calculate discount based on type
-  let discount = 0;
-  let freeItems = [];
-  let requiresMoreItems = false;
-  let itemsNeeded = 0;
-
-  switch (special.type) {
-    case 'discount_percentage':
-      // value is the percentage (e.g., 10 for 10% off)
-      discount = (subtotal * special.value) / 100;
-      break;
-
-    case 'fixed_price':
-      // value is the fixed discount amount
-      discount = Math.min(special.value, subtotal);
-      break;
-
-    case 'bundle_discount':
-      // value is the discount percentage for bundle
-      discount = (subtotal * special.value) / 100;
-      break;
-
-    case 'buy_x_get_y':
-      const buyQty = special.value?.buy_quantity || special.value?.buyQuantity || 1;
-      const getQty = special.value?.get_quantity || special.value?.getQuantity || 1;
-
-      // Get buy and get category/product IDs from the value object
-      const buyCategoryIds = special.value?.buy_category_ids || special.value?.buyCategoryIds || [];
-      const buyProductIds = special.value?.buy_product_ids || special.value?.buyProductIds || [];
-      const getCategoryIds = special.value?.get_category_ids || special.value?.getCategoryIds || [];
-      const getProductIds = special.value?.get_product_ids || special.value?.getProductIds || [];
-
-      // Selected free items from frontend (user's choices)
-      const selectedFreeItems = req.body.selectedFreeItems || [];
-
-      // Get products for the "buy" condition
-      let buyProducts = [];
-      if (buyProductIds.length > 0) {
-        const result = await query(
-          'SELECT id, name, price, images, category_id FROM products WHERE id = ANY($1) AND active = true',
-          [buyProductIds]
-        );
-        buyProducts = result.rows;
-      } else if (buyCategoryIds.length > 0) {
-        const result = await query(
-          'SELECT id, name, price, images, category_id FROM products WHERE category_id = ANY($1) AND active = true',
+  const lines = await priceItems(items);
+  let evaluation = await evaluateSpecial(special, lines, { selectedFreeItems });
+
+  // Automatic specials the code stacks with come off first, the same as at
+  // checkout, so the code's own discount is worked out on what is left
+  let automatic = [];
+  let totalDiscountCents = evaluation.discountCents;
+  if (!evaluation.error) {
+    let discounted;
+    try {
+      discounted = await chooseDiscounts(lines, {
+        autoSpecials: await findAutoSpecials(),
+        codeSpecial: special,
+        selectedFreeItems,
+      });
+    } catch (error) {
+      // e.g. the cart's automatic specials already save more than the code would
+      if (!(error instanceof AppError)) throw error;
+      return res.status(400).json({
+        valid: false,
+        error: error.message,
+      });
+    }
+    evaluation = discounted.applied.find(entry => entry.special === special);
+    automatic = discounted.applied
+      .filter(entry => entry.special !== special)
+      .map(entry => ({
+        id: entry.special.id,
+        name: entry.special.name,
+        type: entry.special.type,
+        discount: toDollars(entry.discountCents),
+      }));
+    totalDiscountCents = discounted.discountCents;
+  }
+
+  const specialSummary = {
+    id: special.id,
+    name: special.name,
+    code: special.code,
+    type: special.type,
+    description: special.description,
+    stacking: special.stacking,
+  };
+
+  // What the discount comes to on each cart line
+  const allocations = lines.map((line, index) => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    name: line.name,
+    quantity: line.quantity,
+    lineTotal: toDollars(line.lineTotalCents),
+    discount: toDollars(evaluation.lineDiscounts[index]),
+  }));
+
+  if (special.type === 'buy_x_get_y') {
+    const buyCategoryIds = special.value?.buy_category_ids || special.value?.buyCategoryIds || [];
+    const getCategoryIds = special.value?.get_category_ids || special.value?.getCategoryIds || [];
+    const buyProducts = await listProducts(evaluation.buyIds);
+    const getProducts = await listProducts(evaluation.getIds);
+
+    const buyGetSummary = {
+      ...specialSummary,
+      buyQuantity: evaluation.buyQuantity,
+      getQuantity: evaluation.getQuantity,
+      buyCategoryIds,
+      getCategoryIds,
+    };
+
+    if (evaluation.itemsNeeded) {
+      // Get category names for better messaging
+      let buyCategoryNames = [];
+      if (buyCategoryIds.length > 0) {
+        const catResult = await query(
+          'SELECT name FROM categories WHERE id = ANY($1)',
           [buyCategoryIds]
         );
-        buyProducts = result.rows;
-      }
-
-      // Get products for the "get" (free items) condition
-      let getProducts = [];
-      if (getProductIds.length > 0) {
-        const result = await query(
-          'SELECT id, name, price, images, category_id FROM products WHERE id = ANY($1) AND active = true',
-          [getProductIds]
-        );
-        getProducts = result.rows;
-      } else if (getCategoryIds.length > 0) {
-        const result = await query(
-          'SELECT id, name, price, images, category_id FROM products WHERE category_id = ANY($1) AND active = true',
-          [getCategoryIds]
-        );
-        getProducts = result.rows;
-      }
-
-      // Fall back to original product_ids/category_ids if no specific buy/get defined
-      if (buyProducts.length === 0 && getProducts.length === 0) {
-        buyProducts = qualifyingProducts;
-        getProducts = qualifyingProducts;
+        buyCategoryNames = catResult.rows.map(c => c.name);
       }
 
-      // Find qualifying "buy" items in cart
-      let buyCartItems = [];
-      if (items && items.length > 0) {
-        if (buyProducts.length > 0) {
-          const buyIds = buyProducts.map(p => p.id);
-          buyCartItems = items.filter(item => buyIds.includes(item.id));
-        } else {
-          buyCartItems = items;
-        }
-      }
-
-      const buyCartQty = buyCartItems.reduce((sum, item) => sum + item.quantity, 0);
-
-      // Check if buy condition is met
-      if (buyCartQty < buyQty) {
-        requiresMoreItems = true;
-        itemsNeeded = buyQty - buyCartQty;
-
-        // Get category names for better messaging
-        let buyCategoryNames = [];
-        if (buyCategoryIds.length > 0) {
-          const catResult = await query(
-            'SELECT name FROM categories WHERE id = ANY($1)',
-            [buyCategoryIds]
-          );
-          buyCategoryNames = catResult.rows.map(c => c.name);
-        }
-
-        return res.json({
-          valid: false,
-          error: buyCategoryNames.length > 0
-            ? `Add ${itemsNeeded} more ${buyCategoryNames.join(' or ')} to qualify for ${getQty} free items!`
-            : `Add ${itemsNeeded} more qualifying item(s) to use this promo.`,
-          special: {
-            id: special.id,
-            name: special.name,
-            code: special.code,
-            type: special.type,
-            description: special.description,
-            buyQuantity: buyQty,
-            getQuantity: getQty,
-            buyCategoryIds,
-            getCategoryIds,
-          },
-          buyProducts,
-          getProducts,
-          requiresMoreItems: true,
-          itemsNeeded,
-        });
-      }
-
-      // Buy condition is met! Calculate how many free items they get
-      const setsEarned = Math.floor(buyCartQty / buyQty);
-      const totalFreeQty = setsEarned * getQty;
-
-      // If user has selected their free items, validate and calculate discount
-      if (selectedFreeItems.length > 0) {
-        const getProductIds = getProducts.map(p => p.id);
-        const validSelections = selectedFreeItems.filter(item => getProductIds.includes(item.id));
-        const selectedQty = validSelections.reduce((sum, item) => sum + item.quantity, 0);
-
-        if (selectedQty <= totalFreeQty) {
-          // Calculate discount based on selected items
-          freeItems = validSelections.map(item => {
-            const product = getProducts.find(p => p.id === item.id);
-            return {
-              ...product,
-              quantity: item.quantity,
-              isFree: true,
-            };
-          });
-          discount = freeItems.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0);
-        }
-      }
-
-      // Return with buyConditionMet flag so frontend knows to show the selection modal
       return res.json({
-        valid: true,
-        buyConditionMet: true,
-        special: {
-          id: special.id,
-          name: special.name,
-          code: special.code,
-          type: special.type,
-          description: special.description,
-          buyQuantity: buyQty,
-          getQuantity: getQty,
-          buyCategoryIds,
-          getCategoryIds,
-        },
+        valid: false,
+        error: buyCategoryNames.length > 0
+          ? `Add ${evaluation.itemsNeeded} more ${buyCategoryNames.join(' or ')} to qualify for ${evaluation.getQuantity} free items!`
+          : evaluation.error,
+        special: buyGetSummary,
         buyProducts,
-        getProducts, // Available products for free item selection
-        totalFreeQty, // Total number of free items they can choose
-        freeItems, // Selected free items (if any)
-        discount,
-        selectedFreeItems: selectedFreeItems.length > 0 ? selectedFreeItems : null,
-        needsSelection: selectedFreeItems.length === 0, // True if user needs to select free items
+        getProducts,
+        requiresMoreItems: true,
+        itemsNeeded: evaluation.itemsNeeded,
+      });
+    }
+
+    if (evaluation.error) {
+      return res.status(400).json({
+        valid: false,
+        error: evaluation.error,
       });
+    }
 
-    default:
-      discount = 0;
+    // Return with buyConditionMet flag so frontend knows to show the selection modal
+    return res.json({
+      valid: true,
+      buyConditionMet: true,
+      special: buyGetSummary,
+      buyProducts,
+      getProducts, // Available products for free item selection
+      totalFreeQty: evaluation.totalFreeQuantity, // Total number of free items they can choose
+      freeItems: evaluation.freeItems.map(item => ({
+        id: item.productId,
+        variantId: item.variantId,
+        name: item.name,
+        quantity: item.quantity,
+        discount: toDollars(evaluation.lineDiscounts[item.index]),
+        isFree: true,
+      })),
+      discount: toDollars(evaluation.discountCents),
+      automaticSpecials: automatic,
+      totalDiscount: toDollars(totalDiscountCents),
+      allocations,
+      selectedFreeItems: selectedFreeItems.length > 0 ? selectedFreeItems : null,
+      needsSelection: selectedFreeItems.length === 0, // True if user needs to select free items
+    });
   }
 
-  // Round to 2 decimal places
-  discount = Math.round(discount * 100) / 100;
+  if (evaluation.error) {
+    return res.status(400).json({
+      valid: false,
+      error: evaluation.error,
+      ...(evaluation.itemsNeeded && { requiresMoreItems: true, itemsNeeded: evaluation.itemsNeeded }),
+      ...(evaluation.amountNeeded && { amountNeeded: evaluation.amountNeeded }),
+    });
+  }
 
   res.json({
     valid: true,
-    special: {
-      id: special.id,
-      name: special.name,
-      code: special.code,
-      type: special.type,
-      description: special.description,
-      buyQuantity: special.value?.buy_quantity || special.value?.buyQuantity,
-      getQuantity: special.value?.get_quantity || special.value?.getQuantity,
-    },
-    discount,
-    freeItems,
-    qualifyingProducts,
+    special: specialSummary,
+    discount: toDollars(evaluation.discountCents),
+    ...(evaluation.tier && { tier: evaluation.tier }),
+    automaticSpecials: automatic,
+    totalDiscount: toDollars(totalDiscountCents),
+    allocations,
+    freeItems: [],
+    qualifyingProducts: await listProducts(await getTargetProductIds(special.product_ids, special.category_ids)),
   });
 }));
 
@@ -357,29 +352,39 @@ router.post('/', authenticate, authorize('admin', 'staff'), uploadSingle, handle
     active = true,
     min_purchase,
     max_uses,
+    max_uses_per_customer,
     code,
+    auto_apply = false,
+    stacking = 'exclusive',
   } = req.body;
 
   if (!name || !type || !value || !start_date || !end_date) {
     throw new AppError('Name, type, value, start_date, and end_date are required', 400);
   }
 
-  // Promo code is required for all specials
-  if (!code || !code.trim()) {
-    throw new AppError('Promo code is required', 400);
-  }
+  const autoApply = auto_apply === 'true' || auto_apply === true;
+  const trimmedCode = code?.trim() || null;
+  checkCodeOrAutoApply({
+    autoApply,
+    code: trimmedCode,
+    maxUses: max_uses ? parseInt(max_uses) : null,
+    maxUsesPerCustomer: parseMaxUsesPerCustomer(max_uses_per_customer),
+  });
 
   // Check if promo code is unique
-  const existingCode = await query(
-    'SELECT id FROM specials WHERE UPPER(code) = $1',
-    [code.toUpperCase()]
-  );
-  if (existingCode.rows.length > 0) {
-    throw new AppError('This promo code is already in use. Please choose a different code.', 400);
+  if (trimmedCode) {
+    const existingCode = await query(
+      `SELECT id FROM specials WHERE UPPER(code) = $1
+       UNION ALL
+       SELECT id FROM promo_codes WHERE code = $1`,
+      [trimmedCode.toUpperCase()]
+    );
+    if (existingCode.rows.length > 0) {
+      throw new AppError('This promo code is already in use. Please choose a different code.', 400);
+    }
   }
 
-  const validTypes = ['discount_percentage', 'bundle_discount', 'buy_x_get_y', 'fixed_price'];
-  if (!validTypes.includes(type)) {
+  if (!SPECIAL_TYPES.includes(type)) {
     throw new AppError('Invalid special type', 400);
   }
 
@@ -394,10 +399,11 @@ router.post('/', authenticate, authorize('admin', 'staff'), uploadSingle, handle
   const parsedProductIds = typeof product_ids === 'string' ? JSON.parse(product_ids) : product_ids;
   const parsedCategoryIds = typeof category_ids === 'string' ? JSON.parse(category_ids) : category_ids;
   const parsedValue = typeof value === 'string' ? JSON.parse(value) : value;
+  validateSpecialValue(type, parsedValue);
 
   const result = await query(
-    `INSERT INTO specials (name, description, type, value, product_ids, category_ids, start_date, end_date, active, min_purchase, max_uses, code, image)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    `INSERT INTO specials (name, description, type, value, product_ids, category_ids, start_date, end_date, active, min_purchase, max_uses, code, image, max_uses_per_customer, auto_apply, stacking)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
      RETURNING *`,
     [
       name,
@@ -411,8 +417,11 @@ router.post('/', authenticate, authorize('admin', 'staff'), uploadSingle, handle
       active === 'true' || active === true,
       min_purchase ? parseFloat(min_purchase) : null,
       max_uses ? parseInt(max_uses) : null,
-      code ? code.toUpperCase() : null,
+      trimmedCode ? trimmedCode.toUpperCase() : null,
       imageUrl,
+      parseMaxUsesPerCustomer(max_uses_per_customer),
+      autoApply,
+      parseStacking(stacking),
     ]
   );
 
@@ -437,7 +446,10 @@ router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, hand
     active,
     min_purchase,
     max_uses,
+    max_uses_per_customer,
     code,
+    auto_apply,
+    stacking,
     removeImage,
   } = req.body;
 
@@ -467,8 +479,7 @@ router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, hand
   }
 
   if (type !== undefined) {
-    const validTypes = ['discount_percentage', 'bundle_discount', 'buy_x_get_y', 'fixed_price'];
-    if (!validTypes.includes(type)) {
+    if (!SPECIAL_TYPES.includes(type)) {
       throw new AppError('Invalid special type', 400);
     }
     updates.push(`type = $${paramCount}`);
@@ -483,6 +494,14 @@ router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, hand
     paramCount++;
   }
 
+  // The value has to make sense for the (possibly new) type
+  if (type !== undefined || value !== undefined) {
+    validateSpecialValue(
+      type ?? existing.rows[0].type,
+      value !== undefined ? (typeof value === 'string' ? JSON.parse(value) : value) : existing.rows[0].value
+    );
+  }
+
   if (product_ids !== undefined) {
     updates.push(`product_ids = $${paramCount}`);
     const parsed = typeof product_ids === 'string' ? JSON.parse(product_ids) : product_ids;
@@ -527,23 +546,52 @@ router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, hand
     paramCount++;
   }
 
-  if (code !== undefined) {
-    // Code cannot be removed (it's required)
-    if (!code || !code.trim()) {
-      throw new AppError('Promo code is required and cannot be removed', 400);
-    }
+  if (max_uses_per_customer !== undefined) {
+    updates.push(`max_uses_per_customer = $${paramCount}`);
+    values.push(parseMaxUsesPerCustomer(max_uses_per_customer));
+    paramCount++;
+  }
+
+  const trimmedCode = code !== undefined ? (code?.trim() || null) : undefined;
+
+  // After the update the special still needs a code or to be applied automatically
+  checkCodeOrAutoApply({
+    autoApply: auto_apply !== undefined ? auto_apply === 'true' || auto_apply === true : special.auto_apply,
+    code: trimmedCode !== undefined ? trimmedCode : special.code,
+    maxUses: max_uses !== undefined ? (max_uses ? parseInt(max_uses) : null) : special.max_uses,
+    maxUsesPerCustomer: max_uses_per_customer !== undefined
+      ? parseMaxUsesPerCustomer(max_uses_per_customer)
+      : special.max_uses_per_customer,
+  });
 
+  if (trimmedCode !== undefined) {
     // Check if new code is unique (excluding current special)
-    const existingCode = await query(
-      'SELECT id FROM specials WHERE UPPER(code) = $1 AND id != $2',
-      [code.toUpperCase(), id]
-    );
-    if (existingCode.rows.length > 0) {
-      throw new AppError('This promo code is already in use. Please choose a different code.', 400);
+    if (trimmedCode) {
+      const existingCode = await query(
+        `SELECT id FROM specials WHERE UPPER(code) = $1 AND id != $2
+         UNION ALL
+         SELECT id FROM promo_codes WHERE code = $1`,
+        [trimmedCode.toUpperCase(), id]
+      );
+      if (existingCode.rows.length > 0) {
+        throw new AppError('This promo code is already in use. Please choose a different code.', 400);
+      }
     }
 
     updates.push(`code = $${paramCount}`);
-    values.push(code.toUpperCase());
+    values.push(trimmedCode ? trimmedCode.toUpperCase() : null);
+    paramCount++;
+  }
+
+  if (auto_apply !== undefined) {
+    updates.push(`auto_apply = $${paramCount}`);
+    values.push(auto_apply === 'true' || auto_apply === true);
+    paramCount++;
+  }
+
+  if (stacking !== undefined) {
+    updates.push(`stacking = $${paramCount}`);
+    values.push(parseStacking(stacking));
     paramCount++;
   }
 
@@ -597,6 +645,148 @@ router.put('/:id', authenticate, authorize('admin', 'staff'), uploadSingle, hand
   });
 }));
 
+// Redemption ledger for a special, newest first (admin/staff only).
+// ?includeVoided=true also lists uses given back by cancelled or refunded orders.
+router.get('/:id/redemptions', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { includeVoided, page = 1, limit = 50 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const existing = await query('SELECT id, code, max_uses, max_uses_per_customer, used_count FROM specials WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    throw new AppError('Special not found', 404);
+  }
+
+  const voidedFilter = includeVoided === 'true' ? '' : 'AND r.voided_at IS NULL';
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM special_redemptions r WHERE r.special_id = $1 ${voidedFilter}`,
+    [id]
+  );
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  const result = await query(
+    `SELECT r.*, o.order_number, o.status as order_status
+     FROM special_redemptions r
+     JOIN orders o ON r.order_id = o.id
+     WHERE r.special_id = $1 ${voidedFilter}
+     ORDER BY r.redeemed_at DESC, r.id DESC
+     LIMIT $2 OFFSET $3`,
+    [id, limit, offset]
+  );
+
+  res.json({
+    special: existing.rows[0],
+    redemptions: result.rows.map(row => ({
+      id: row.id,
+      orderId: row.order_id,
+      orderNumber: row.order_number,
+      orderStatus: row.order_status,
+      code: row.code,
+      customerId: row.customer_id,
+      customerEmail: row.customer_email,
+      discount: parseFloat(row.discount_amount),
+      redeemedAt: row.redeemed_at,
+      voidedAt: row.voided_at,
+      voidReason: row.void_reason,
+    })),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+    },
+  });
+}));
+
+const formatPromoCode = (row) => ({
+  id: row.id,
+  code: row.code,
+  batch: row.batch,
+  status: row.status,
+  createdAt: row.created_at,
+  redeemedAt: row.redeemed_at || null,
+  orderId: row.order_id || null,
+  orderNumber: row.order_number || null,
+  voidedAt: row.voided_at,
+  voidReason: row.void_reason,
+});
+
+// Generate a batch of single-use codes for a special (admin/staff only).
+// Body: { count, prefix, length (random characters, default 8), batch }
+router.post('/:id/codes', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { count, prefix, length = 8, batch } = req.body;
+
+  const codes = await generatePromoCodes(id, {
+    count,
+    prefix,
+    length,
+    batch,
+    createdBy: req.user.id,
+  });
+
+  res.status(201).json({
+    message: `${codes.length} promo codes generated`,
+    codes: codes.map(code => formatPromoCode({ ...code, status: 'available' })),
+  });
+}));
+
+// Generated codes of a special and whether they have been used (admin/staff only).
+// ?status=available|redeemed|voided, ?batch= and ?format=csv (every matching
+// code, for printing or mail merges)
+router.get('/:id/codes', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { status, batch, format = 'json', page = 1, limit = 100 } = req.query;
+
+  if (!['json', 'csv'].includes(format)) {
+    throw new AppError('Format must be json or csv', 400);
+  }
+
+  const existing = await query('SELECT id, name, code FROM specials WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    throw new AppError('Special not found', 404);
+  }
+
+  if (format === 'csv') {
+    const { codes } = await listPromoCodes(id, { status, batch });
+    res.type('text/csv');
+    res.attachment(`promo-codes-${existing.rows[0].code || id}${batch ? `-${batch}` : ''}.csv`);
+    return res.send(promoCodesToCsv(codes));
+  }
+
+  const { codes, total, summary } = await listPromoCodes(id, {
+    status,
+    batch,
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.json({
+    special: existing.rows[0],
+    summary,
+    codes: codes.map(formatPromoCode),
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+}));
+
+// Void a generated code so it can't be used (admin/staff only). Body: { reason }
+router.post('/:id/codes/:codeId/void', authenticate, authorize('admin', 'staff'), asyncHandler(async (req, res) => {
+  const { id, codeId } = req.params;
+
+  const code = await voidPromoCode(id, codeId, req.body.reason || null);
+
+  res.json({
+    message: 'Promo code voided',
+    code: formatPromoCode({ ...code, status: 'voided' }),
+  });
+}));
+
 // Delete special (admin only)
 router.delete('/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -0,0 +1,134 @@
+import express from 'express';
+import stripe from '../config/stripe.js';
+import { query } from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { recordStripeEvent, processWebhookEvent } from '../services/webhookEvents.js';
+
+// This router is mounted in server.js BEFORE the JSON body parser so Stripe
+// signature verification sees the raw request bytes.
+const router = express.Router();
+
+// Stripe webhook - verify, store, then process the event
+export const stripeWebhookHandler = [
+  express.raw({ type: 'application/json' }),
+  asyncHandler(async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+
+    let event;
+
+    try {
+      event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    } catch (err) {
+      console.error('Webhook signature verification failed:', err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    const webhookEvent = await recordStripeEvent(event);
+
+    // Stripe may deliver an event more than once - only retry ones that failed
+    if (['processed', 'ignored'].includes(webhookEvent.status)) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const processed = await processWebhookEvent(webhookEvent);
+
+    if (processed.status === 'failed') {
+      // Non-2xx makes Stripe retry the event later
+      return res.status(500).json({ error: 'Failed to process event' });
+    }
+
+    res.json({ received: true });
+  }),
+];
+
+router.post('/stripe', stripeWebhookHandler);
+
+// =====================================================
+// ADMIN ROUTES (Webhook audit trail)
+// =====================================================
+
+// List received webhook events (admin only)
+router.get('/events', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const { status, type, objectId, page = 1, limit = 20 } = req.query;
+  const offset = (page - 1) * limit;
+
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+
+  if (type) {
+    params.push(type);
+    conditions.push(`type = $${params.length}`);
+  }
+
+  // Find events about a specific Stripe object (e.g. a cs_... session id)
+  if (objectId) {
+    params.push(objectId);
+    conditions.push(`payload->'data'->'object'->>'id' = $${params.length}`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await query(
+    `SELECT COUNT(*) FROM webhook_events ${whereClause}`,
+    params
+  );
+  const totalCount = parseInt(countResult.rows[0].count);
+
+  params.push(limit, offset);
+
+  const result = await query(
+    `SELECT id, provider, event_id, type, status, error, attempts, processed_at, created_at,
+            payload->'data'->'object'->>'id' as object_id
+     FROM webhook_events
+     ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  res.json({
+    events: result.rows,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      totalCount,
+      totalPages: Math.ceil(totalCount / limit),
+    },
+  });
+}));
+
+// Get a single webhook event with its payload (admin only)
+router.get('/events/:id', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const result = await query('SELECT * FROM webhook_events WHERE id = $1', [req.params.id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Webhook event not found', 404);
+  }
+
+  res.json({ event: result.rows[0] });
+}));
+
+// Replay a stored webhook event through the handlers again (admin only)
+router.post('/events/:id/replay', authenticate, authorize('admin'), asyncHandler(async (req, res) => {
+  const existing = await query('SELECT * FROM webhook_events WHERE id = $1', [req.params.id]);
+
+  if (existing.rows.length === 0) {
+    throw new AppError('Webhook event not found', 404);
+  }
+
+  const event = await processWebhookEvent(existing.rows[0]);
+
+  res.json({
+    message: event.status === 'failed' ? 'Event replay failed' : 'Event replayed successfully',
+    event,
+  });
+}));
+
+export default router;
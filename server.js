@@ -2,6 +2,7 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import routers from './routers/index.js';
+import webhooksRouter, { stripeWebhookHandler } from './routers/webhooks.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { testConnection } from './config/database.js';
 
@@ -31,6 +32,12 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
+
+// Webhooks must be mounted before the body parsers - signature verification
+// needs the raw request body, which express.json() would consume
+app.use('/api/webhooks', webhooksRouter);
+app.post('/api/checkout/webhook', stripeWebhookHandler); // Endpoint registered in the Stripe dashboard
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -0,0 +1,168 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { WEEKDAYS, isValidDate, isValidTime, localToday, addDays } from './hours.js';
+import { productCategoriesAndAncestorsSql } from './categories.js';
+
+// 'HH:MM' in bakery-local time
+const localTime = (at) => `${String(at.getHours()).padStart(2, '0')}:${String(at.getMinutes()).padStart(2, '0')}`;
+
+const parseRules = (value) => {
+  if (typeof value !== 'string' || value === '') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new AppError('Availability must be valid JSON', 400);
+  }
+};
+
+// Validate availability rules for a product or category. Accepts an object or
+// a JSON string (multipart forms); returns the rules to store, or null for
+// "always available".
+export const validateAvailability = (value) => {
+  const rules = parseRules(value);
+
+  if (rules === null || rules === undefined || rules === '') return null;
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new AppError('Availability must be an object', 400);
+  }
+
+  const result = {};
+
+  for (const key of ['start_date', 'end_date']) {
+    if (rules[key]) {
+      if (!isValidDate(rules[key])) {
+        throw new AppError(`${key} must be in YYYY-MM-DD format`, 400);
+      }
+      result[key] = rules[key];
+    }
+  }
+  if (result.start_date && result.end_date && result.end_date < result.start_date) {
+    throw new AppError('end_date must not be before start_date', 400);
+  }
+
+  if (rules.days !== undefined && rules.days !== null) {
+    if (!Array.isArray(rules.days) || rules.days.some(day => !WEEKDAYS.includes(day))) {
+      throw new AppError(`days must be a list of: ${WEEKDAYS.join(', ')}`, 400);
+    }
+    if (rules.days.length > 0) {
+      result.days = WEEKDAYS.filter(day => rules.days.includes(day));
+    }
+  }
+
+  for (const key of ['start_time', 'end_time']) {
+    if (rules[key]) {
+      if (!isValidTime(rules[key])) {
+        throw new AppError(`${key} must be in HH:MM format`, 400);
+      }
+      result[key] = rules[key];
+    }
+  }
+  if (result.start_time && result.end_time && result.end_time <= result.start_time) {
+    throw new AppError('end_time must be after start_time', 400);
+  }
+
+  if (rules.preorder_only) {
+    const leadDays = rules.lead_days === undefined || rules.lead_days === null ? 1 : Number(rules.lead_days);
+    if (!(Number.isInteger(leadDays) && leadDays >= 1)) {
+      throw new AppError('lead_days must be a whole number of at least 1', 400);
+    }
+    result.preorder_only = true;
+    result.lead_days = leadDays;
+  }
+
+  return Object.keys(result).length > 0 ? result : null;
+};
+
+// SQL for whether a product (aliased p), each of its categories and every
+// category above them (aliased ac in the check) pass an availability check
+const withCategoriesSql = (check) => `(${check('p.availability')} AND NOT EXISTS (
+  SELECT 1 FROM categories ac
+  WHERE ac.id IN ${productCategoriesAndAncestorsSql('p.id')}
+  AND NOT ${check('ac.availability')}))`;
+
+// SQL for whether a product (aliased p) shows in the public catalog now.
+// Pre-order items show until their date range ends, since they are ordered
+// for a later day. $date and $time are placeholders.
+export const listedNowSql = (dateParam, timeParam) => withCategoriesSql((column) => `(CASE WHEN (${column}->>'preorder_only')::boolean
+    THEN ${column}->>'end_date' IS NULL OR (${column}->>'end_date')::date >= ${dateParam}::date
+    ELSE availability_allows(${column}, ${dateParam}::date, ${timeParam}::time) END)`);
+
+// SQL for whether a product can be had on a date (and time, if not NULL)
+export const availableOnSql = (dateParam, timeParam) => withCategoriesSql((column) =>
+  `availability_allows(${column}, ${dateParam}::date, ${timeParam}::time)`);
+
+// Bakery-local date and time of a moment (default now) for availability checks
+export const localDateTime = (at = new Date()) => ({ date: localToday(at), time: localTime(at) });
+
+// Human-readable summary of rules, for error messages
+export const describeAvailability = (rules) => {
+  if (!rules) return 'always';
+
+  const parts = [];
+  if (rules.days) parts.push(`on ${rules.days.join(', ')}`);
+  if (rules.start_time && rules.end_time) parts.push(`from ${rules.start_time} to ${rules.end_time}`);
+  else if (rules.start_time) parts.push(`from ${rules.start_time}`);
+  else if (rules.end_time) parts.push(`until ${rules.end_time}`);
+  if (rules.start_date && rules.end_date) parts.push(`between ${rules.start_date} and ${rules.end_date}`);
+  else if (rules.start_date) parts.push(`from ${rules.start_date}`);
+  else if (rules.end_date) parts.push(`until ${rules.end_date}`);
+
+  return parts.join(' ') || 'always';
+};
+
+// Reject cart lines that can't be had on the pickup/delivery date. time is
+// optional ('HH:MM'); without it only the date is checked. Every category a
+// product is listed in, and every category above those, has to allow it too.
+export const requireAvailability = async (lines, { date, time = null, now = new Date() }) => {
+  const productIds = [...new Set(lines.map(line => line.productId))];
+
+  const result = await query(
+    `SELECT p.id, p.name, p.availability,
+            availability_allows(p.availability, $2::date, $3::time) as product_allowed,
+            COALESCE((
+              SELECT json_agg(json_build_object(
+                'rules', ac.availability,
+                'allowed', availability_allows(ac.availability, $2::date, $3::time)
+              ))
+              FROM categories ac
+              WHERE ac.id IN ${productCategoriesAndAncestorsSql('p.id')}
+              AND ac.availability IS NOT NULL
+            ), '[]') as category_availability
+     FROM products p
+     WHERE p.id = ANY($1)`,
+    [productIds, date, time]
+  );
+
+  const today = localToday(now);
+
+  for (const row of result.rows) {
+    const blockedBy = row.category_availability.find(category => !category.allowed);
+    if (!row.product_allowed || blockedBy) {
+      const rules = !row.product_allowed ? row.availability : blockedBy.rules;
+      throw new AppError(
+        `${row.name} isn't available for ${date}${time ? ` at ${time}` : ''}. It's available ${describeAvailability(rules)}.`,
+        400
+      );
+    }
+
+    const leadDays = Math.max(
+      row.availability?.preorder_only ? row.availability.lead_days : 0,
+      ...row.category_availability.map(({ rules }) => (rules.preorder_only ? rules.lead_days : 0))
+    );
+    if (leadDays > 0 && date < addDays(today, leadDays)) {
+      throw new AppError(
+        `${row.name} is pre-order only and must be ordered at least ${leadDays} day${leadDays === 1 ? '' : 's'} ahead`,
+        400
+      );
+    }
+  }
+};
+
+export default {
+  validateAvailability,
+  listedNowSql,
+  availableOnSql,
+  localDateTime,
+  describeAvailability,
+  requireAvailability,
+};
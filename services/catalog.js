@@ -0,0 +1,184 @@
+import { query, getClient } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ALLERGEN_KEYS, normalizeAllergen } from '../config/allergens.js';
+
+// Price bands for the catalog facets, in dollars (max is exclusive)
+export const PRICE_BANDS = [
+  { label: 'Under $5', min: 0, max: 5 },
+  { label: '$5 to $10', min: 5, max: 10 },
+  { label: '$10 to $25', min: 10, max: 25 },
+  { label: '$25 and up', min: 25, max: null },
+];
+
+// Turn what a customer typed into a prefix tsquery, so 'choc chip' matches
+// 'Chocolate Chip'. Returns null when there is nothing searchable.
+export const toPrefixQuery = (text) => {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length > 0 ? words.map(word => `${word}:*`).join(' & ') : null;
+};
+
+// How close a misspelt word has to be to a product name for search to still
+// match it (0-1). Read by pg_trgm's <% operator, which unlike word_similarity()
+// can use the products name trigram index.
+const SEARCH_SIMILARITY_THRESHOLD = '0.5';
+
+// Run search queries in a transaction with the similarity threshold set for
+// that transaction only, so it never sticks to a pooled connection. run is
+// called with a function taking (text, params), like query.
+export const withSearchThreshold = async (run) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+      [SEARCH_SIMILARITY_THRESHOLD]
+    );
+    const result = await run((text, params) => client.query(text, params));
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// SQL for a product search (aliased p). $tsquery is the prefix query and
+// $term the raw text, which also catches misspelt names. Run it through
+// withSearchThreshold so misspellings are matched as closely as intended.
+export const searchMatchSql = (tsqueryParam, termParam) => `(
+  p.search_vector @@ to_tsquery('english', ${tsqueryParam})
+  OR ${termParam} <% p.name)`;
+
+export const searchRankSql = (tsqueryParam, termParam) => `(
+  ts_rank(p.search_vector, to_tsquery('english', ${tsqueryParam}))
+  + word_similarity(${termParam}, p.name))`;
+
+// A list from a request: an array, a JSON array string (multipart forms) or
+// a comma-separated query string value
+const parseList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    let list;
+    try {
+      list = JSON.parse(value);
+    } catch {
+      throw new AppError(`Invalid list: ${value}`, 400);
+    }
+    if (!Array.isArray(list)) {
+      throw new AppError(`Invalid list: ${value}`, 400);
+    }
+    return list;
+  }
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Canonical allergen keys for a product or filter. Unknown names are rejected
+// so the catalog filters can be trusted.
+export const parseAllergens = (value) => {
+  const allergens = parseList(value).map(name => {
+    const key = normalizeAllergen(name);
+    if (!key) {
+      throw new AppError(`Unknown allergen: ${name}. Must be one of: ${ALLERGEN_KEYS.join(', ')}`, 400);
+    }
+    return key;
+  });
+
+  return [...new Set(allergens)];
+};
+
+// Dietary tag slugs for a product or filter, checked against the dietary_tags vocabulary
+export const parseDietaryTags = async (value) => {
+  const tags = [...new Set(parseList(value).map(tag => String(tag).trim().toLowerCase()))];
+  if (tags.length === 0) return [];
+
+  const result = await query('SELECT slug FROM dietary_tags WHERE slug = ANY($1)', [tags]);
+  const known = new Set(result.rows.map(row => row.slug));
+  const unknown = tags.filter(tag => !known.has(tag));
+
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown dietary tag: ${unknown.join(', ')}`, 400);
+  }
+
+  return tags;
+};
+
+// Facet counts for a set of products ({ categories: [{ id, name, slug }],
+// price, allergens, dietary_tags }). A product counts in each of its categories.
+export const buildFacets = (rows) => {
+  const categories = new Map();
+  const dietaryTags = new Map();
+
+  for (const row of rows) {
+    for (const { id, name, slug } of row.categories || []) {
+      const category = categories.get(id) || { id, name, slug, count: 0 };
+      category.count++;
+      categories.set(id, category);
+    }
+
+    for (const tag of row.dietary_tags || []) {
+      dietaryTags.set(tag, (dietaryTags.get(tag) || 0) + 1);
+    }
+  }
+
+  const byCount = (a, b) => b.count - a.count || String(a.name ?? a.tag ?? a.allergen).localeCompare(String(b.name ?? b.tag ?? b.allergen));
+
+  return {
+    categories: [...categories.values()].sort(byCount),
+    // How many products are free of each allergen, in the canonical order
+    allergenFree: ALLERGEN_KEYS.map(allergen => ({
+      allergen,
+      count: rows.filter(row => !(row.allergens || []).includes(allergen)).length,
+    })),
+    priceBands: PRICE_BANDS.map(band => ({
+      ...band,
+      count: rows.filter(row => {
+        const price = parseFloat(row.price);
+        return price >= band.min && (band.max === null || price < band.max);
+      }).length,
+    })),
+    dietaryTags: [...dietaryTags].map(([tag, count]) => ({ tag, count })).sort(byCount),
+  };
+};
+
+// Autocomplete: the best few product names starting with what was typed.
+// extraWhere narrows the products (e.g. to what customers can see) and uses
+// params from $3 on.
+export const suggestProducts = async (text, { limit = 8, extraWhere = '', extraParams = [] } = {}) => {
+  const tsquery = toPrefixQuery(text);
+  if (!tsquery) return [];
+
+  const result = await withSearchThreshold(run => run(
+    `SELECT p.id, p.name, p.slug, p.price, p.images[1] as image, c.name as category_name
+     FROM products p
+     LEFT JOIN categories c ON p.category_id = c.id
+     WHERE ${searchMatchSql('$1', '$2')} ${extraWhere}
+     ORDER BY p.name ILIKE $2 || '%' DESC, ${searchRankSql('$1', '$2')} DESC, p.name ASC
+     LIMIT ${parseInt(limit)}`,
+    [tsquery, text, ...extraParams]
+  ));
+
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    slug: row.slug,
+    price: parseFloat(row.price),
+    image: row.image,
+    categoryName: row.category_name,
+  }));
+};
+
+export default {
+  PRICE_BANDS,
+  toPrefixQuery,
+  parseAllergens,
+  parseDietaryTags,
+  searchMatchSql,
+  searchRankSql,
+  withSearchThreshold,
+  buildFacets,
+  suggestProducts,
+};
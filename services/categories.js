@@ -0,0 +1,188 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// SQL for the ids of a category (given by id or slug in $param) and every
+// category below it
+export const categoryAndDescendantsSql = (param) => `(
+  WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE slug = ${param} OR id::text = ${param}
+    UNION ALL
+    SELECT child.id FROM categories child JOIN subtree ON child.parent_id = subtree.id
+  )
+  SELECT id FROM subtree)`;
+
+// SQL for the ids of a category (an id expression, e.g. a column) and every
+// category above it
+export const categoryAndAncestorsSql = (idSql) => `(
+  WITH RECURSIVE chain AS (
+    SELECT id, parent_id FROM categories WHERE id = ${idSql}
+    UNION ALL
+    SELECT parent.id, parent.parent_id FROM categories parent JOIN chain ON parent.id = chain.parent_id
+  )
+  SELECT id FROM chain)`;
+
+// SQL for the ids of products listed in any of the categories in $param (an
+// integer array). Products can be in several categories, so anything that
+// targets categories goes through this rather than products.category_id.
+export const productsInCategoriesSql = (param) =>
+  `(SELECT product_id FROM product_categories WHERE category_id = ANY(${param}))`;
+
+// SQL for the ids of every category a product (an id expression, e.g. a
+// column) is listed in and every category above those
+export const productCategoriesAndAncestorsSql = (productIdSql) => `(
+  SELECT ancestor.id
+  FROM product_categories listed
+  CROSS JOIN LATERAL ${categoryAndAncestorsSql('listed.category_id')} ancestor
+  WHERE listed.product_id = ${productIdSql})`;
+
+// Ids of a category and all of its descendants
+export const getDescendantIds = async (categoryId, db = { query }) => {
+  const result = await db.query(
+    `SELECT id FROM ${categoryAndDescendantsSql('$1')} ids`,
+    [String(categoryId)]
+  );
+  return result.rows.map(row => row.id);
+};
+
+// Ancestors of a category from the root down, ending with the category itself
+export const getBreadcrumbs = async (categoryId) => {
+  if (!categoryId) return [];
+
+  const result = await query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, name, slug, parent_id, 0 as depth FROM categories WHERE id = $1
+       UNION ALL
+       SELECT parent.id, parent.name, parent.slug, parent.parent_id, ancestors.depth + 1
+       FROM categories parent JOIN ancestors ON parent.id = ancestors.parent_id
+     )
+     SELECT id, name, slug FROM ancestors ORDER BY depth DESC`,
+    [categoryId]
+  );
+
+  return result.rows;
+};
+
+// Check a new parent for a category: it has to exist and can't be the
+// category itself or one of its descendants
+export const validateParent = async (categoryId, parentId) => {
+  if (parentId === null || parentId === undefined || parentId === '') return null;
+
+  const parent = await query('SELECT id FROM categories WHERE id::text = $1', [String(parentId)]);
+  if (parent.rows.length === 0) {
+    throw new AppError('Parent category not found', 400);
+  }
+
+  if (categoryId) {
+    const descendants = await getDescendantIds(categoryId);
+    if (descendants.includes(parent.rows[0].id)) {
+      throw new AppError('A category cannot be moved under itself or one of its subcategories', 400);
+    }
+  }
+
+  return parent.rows[0].id;
+};
+
+// Category ids for a product from a request: an array, JSON array string
+// (multipart forms) or comma-separated list. Every id has to exist.
+export const parseCategoryIds = async (value) => {
+  if (value === undefined || value === null || value === '') return [];
+
+  const list = Array.isArray(value)
+    ? value
+    : String(value).trim().startsWith('[') ? JSON.parse(value) : String(value).split(',');
+  const ids = [...new Set(list.map(id => parseInt(id)))];
+
+  if (ids.some(id => !Number.isInteger(id))) {
+    throw new AppError('category_ids must be a list of category ids', 400);
+  }
+
+  const result = await query('SELECT id FROM categories WHERE id = ANY($1)', [ids]);
+  const missing = ids.filter(id => !result.rows.some(row => row.id === id));
+  if (missing.length > 0) {
+    throw new AppError(`Category not found: ${missing.join(', ')}`, 400);
+  }
+
+  return ids;
+};
+
+// Make categoryIds the product's categories. The primary category always
+// stays; new categories list the product last.
+export const setProductCategories = async (db, productId, categoryIds) => {
+  await db.query(
+    `DELETE FROM product_categories pc
+     USING products p
+     WHERE pc.product_id = p.id AND p.id = $1
+     AND pc.category_id <> ALL($2) AND pc.category_id IS DISTINCT FROM p.category_id`,
+    [productId, categoryIds]
+  );
+
+  for (const categoryId of categoryIds) {
+    await db.query(
+      `INSERT INTO product_categories (product_id, category_id, display_order)
+       VALUES ($1, $2, (SELECT COALESCE(MAX(display_order), 0) + 1 FROM product_categories WHERE category_id = $2))
+       ON CONFLICT (product_id, category_id) DO NOTHING`,
+      [productId, categoryId]
+    );
+  }
+};
+
+// A product's categories, primary first
+export const getProductCategories = async (productId) => {
+  const result = await query(
+    `SELECT c.id, c.name, c.slug, pc.display_order, c.id = p.category_id as primary
+     FROM product_categories pc
+     JOIN categories c ON pc.category_id = c.id
+     JOIN products p ON pc.product_id = p.id
+     WHERE pc.product_id = $1
+     ORDER BY c.id = p.category_id DESC, c.display_order ASC, c.name ASC`,
+    [productId]
+  );
+
+  return result.rows;
+};
+
+// All categories as a tree, each with its direct product count and the count
+// including subcategories
+export const getCategoryTree = async ({ includeInactive = false } = {}) => {
+  const result = await query(
+    `SELECT c.*, COUNT(p.id)::integer as product_count
+     FROM categories c
+     LEFT JOIN product_categories pc ON pc.category_id = c.id
+     LEFT JOIN products p ON pc.product_id = p.id AND p.active = true
+     ${includeInactive ? '' : 'WHERE c.active = true'}
+     GROUP BY c.id
+     ORDER BY c.display_order ASC, c.name ASC`
+  );
+
+  const nodes = new Map(result.rows.map(row => [row.id, { ...row, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    // Children of a hidden parent are hidden with it
+    if (node.parent_id && !parent) continue;
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const total = (node) => {
+    node.total_product_count = node.product_count + node.children.reduce((sum, child) => sum + total(child), 0);
+    return node.total_product_count;
+  };
+  roots.forEach(total);
+
+  return roots;
+};
+
+export default {
+  categoryAndDescendantsSql,
+  categoryAndAncestorsSql,
+  productsInCategoriesSql,
+  productCategoriesAndAncestorsSql,
+  getDescendantIds,
+  getBreadcrumbs,
+  validateParent,
+  parseCategoryIds,
+  setProductCategories,
+  getProductCategories,
+  getCategoryTree,
+};
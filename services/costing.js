@@ -0,0 +1,144 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRecipeLines, linesForItem } from './recipes.js';
+
+export const COST_SOURCES = ['manual', 'recipe'];
+
+// SQL for the list price of an order item's product or variant when its order
+// was placed (aliases oi and o). NULL when there's no history that far back.
+export const LIST_PRICE_AT_ORDER_SQL = `(
+  SELECT h.price FROM product_price_history h
+  WHERE h.product_id = oi.product_id
+  AND h.variant_id IS NOT DISTINCT FROM oi.variant_id
+  AND h.effective_from <= o.created_at
+  ORDER BY h.effective_from DESC, h.id DESC
+  LIMIT 1
+)`;
+
+// Parse cost and cost_source from a request body. Returns only the fields given.
+export const parseCostFields = (body) => {
+  const fields = {};
+
+  if (body.cost !== undefined) {
+    fields.cost = body.cost === null || body.cost === '' ? null : parseFloat(body.cost);
+    if (fields.cost !== null && !(fields.cost >= 0)) {
+      throw new AppError('Cost must be a number of at least 0', 400);
+    }
+  }
+
+  if (body.cost_source !== undefined) {
+    if (!COST_SOURCES.includes(body.cost_source)) {
+      throw new AppError(`Cost source must be one of: ${COST_SOURCES.join(', ')}`, 400);
+    }
+    fields.costSource = body.cost_source;
+  }
+
+  return fields;
+};
+
+// Close the current price history row and open a new one if the price changed.
+// db is a client inside a transaction, or { query }.
+export const recordPriceChange = async (db, { productId, variantId = null, price, userId = null }) => {
+  const current = await db.query(
+    `SELECT id, price FROM product_price_history
+     WHERE product_id = $1 AND variant_id IS NOT DISTINCT FROM $2 AND effective_to IS NULL
+     ORDER BY effective_from DESC, id DESC
+     LIMIT 1`,
+    [productId, variantId]
+  );
+
+  const previous = current.rows[0];
+  if (previous && parseFloat(previous.price) === parseFloat(price)) return;
+
+  if (previous) {
+    await db.query('UPDATE product_price_history SET effective_to = CURRENT_TIMESTAMP WHERE id = $1', [previous.id]);
+  }
+
+  await db.query(
+    `INSERT INTO product_price_history (product_id, variant_id, price, previous_price, changed_by)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [productId, variantId, price, previous ? previous.price : null, userId]
+  );
+};
+
+// Cost of one unit from its recipe lines. Incomplete when an ingredient has no
+// cost_per_unit, in which case the known part is still returned.
+export const calculateRecipeCost = (lines) => {
+  let cost = 0;
+  let complete = lines.length > 0;
+
+  for (const line of lines) {
+    if (line.cost_per_unit === null) {
+      complete = false;
+      continue;
+    }
+    cost += line.quantity * parseFloat(line.cost_per_unit);
+  }
+
+  return { cost: lines.length > 0 ? Math.round(cost * 100) / 100 : null, complete };
+};
+
+// Unit costs for products and their variants, keyed by 'productId:variantId'
+// ('productId:' for the product itself). Recipe-costed products use the
+// recipe; manual ones use the variant's cost, falling back to the product's.
+export const getUnitCosts = async (productIds) => {
+  const products = await query(
+    'SELECT id, cost, cost_source FROM products WHERE id = ANY($1)',
+    [productIds]
+  );
+  const variants = await query(
+    'SELECT id, product_id, cost FROM product_variants WHERE product_id = ANY($1)',
+    [productIds]
+  );
+  const recipeLines = await getRecipeLines(productIds);
+
+  const costs = new Map();
+
+  const costFor = (product, variant = null) => {
+    if (product.cost_source === 'recipe') {
+      const lines = linesForItem(recipeLines, { productId: product.id, variantId: variant?.id });
+      return { ...calculateRecipeCost(lines), costSource: 'recipe' };
+    }
+
+    const manual = variant?.cost ?? product.cost;
+    return {
+      cost: manual === null || manual === undefined ? null : parseFloat(manual),
+      complete: manual !== null && manual !== undefined,
+      costSource: 'manual',
+    };
+  };
+
+  const productsById = new Map(products.rows.map(row => [row.id, row]));
+
+  for (const product of products.rows) {
+    costs.set(`${product.id}:`, costFor(product));
+  }
+  for (const variant of variants.rows) {
+    costs.set(`${variant.product_id}:${variant.id}`, costFor(productsById.get(variant.product_id), variant));
+  }
+
+  return costs;
+};
+
+// Margin on a price, or nulls when the cost isn't known
+export const calculateMargin = (price, cost) => {
+  if (cost === null || cost === undefined) {
+    return { margin: null, marginPercent: null };
+  }
+
+  const margin = Math.round((price - cost) * 100) / 100;
+  return {
+    margin,
+    marginPercent: price > 0 ? Math.round((margin / price) * 1000) / 10 : null,
+  };
+};
+
+export default {
+  COST_SOURCES,
+  LIST_PRICE_AT_ORDER_SQL,
+  parseCostFields,
+  recordPriceChange,
+  calculateRecipeCost,
+  getUnitCosts,
+  calculateMargin,
+};
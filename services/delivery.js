@@ -0,0 +1,152 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { getSetting } from './settings.js';
+import { toCents, toDollars } from './money.js';
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && value >= 0;
+
+// Validate the `delivery` setting before it is saved
+export const validateDeliverySettings = (value) => {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.zones)) {
+    throw new AppError('Delivery settings must include a zones array', 400);
+  }
+
+  for (const zone of value.zones) {
+    const label = zone.name || 'Unnamed zone';
+
+    if (!zone.name) {
+      throw new AppError('Each delivery zone needs a name', 400);
+    }
+
+    const hasZips = Array.isArray(zone.zip_codes) && zone.zip_codes.length > 0;
+    const hasRadius = zone.radius_miles && isNonNegativeNumber(zone.radius_miles.max);
+
+    if (hasZips === Boolean(hasRadius)) {
+      throw new AppError(`${label}: define either zip_codes or radius_miles: { min, max }`, 400);
+    }
+    if (hasRadius && zone.radius_miles.min !== undefined && !(zone.radius_miles.min < zone.radius_miles.max)) {
+      throw new AppError(`${label}: radius_miles.min must be less than radius_miles.max`, 400);
+    }
+
+    for (const key of ['fee', 'min_order', 'free_delivery_threshold']) {
+      if (zone[key] !== undefined && zone[key] !== null && !isNonNegativeNumber(zone[key])) {
+        throw new AppError(`${label}: ${key} must be a non-negative number`, 400);
+      }
+    }
+  }
+
+  if (value.default_fee !== undefined && !isNonNegativeNumber(value.default_fee)) {
+    throw new AppError('default_fee must be a non-negative number', 400);
+  }
+
+  if (value.zones.some(zone => zone.radius_miles)) {
+    const { latitude, longitude } = value.origin || {};
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      throw new AppError('Radius delivery zones need origin.latitude and origin.longitude', 400);
+    }
+  }
+};
+
+// Great-circle distance between two { latitude, longitude } points
+export const distanceInMiles = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+};
+
+// Find the first zone that covers an address. Without any zones set up every
+// address is covered at the default fee.
+const findZone = (settings, { zipCode, latitude, longitude }) => {
+  if (!settings.zones || settings.zones.length === 0) {
+    return { zone: { name: 'Delivery', fee: settings.default_fee ?? 5 } };
+  }
+
+  const zip = String(zipCode || '').trim().slice(0, 5);
+  const hasCoordinates = Number.isFinite(parseFloat(latitude)) && Number.isFinite(parseFloat(longitude));
+  const origin = settings.origin || {};
+
+  for (const zone of settings.zones || []) {
+    if (zone.zip_codes) {
+      if (zip && zone.zip_codes.map(String).includes(zip)) {
+        return { zone };
+      }
+    } else if (zone.radius_miles && hasCoordinates && origin.latitude != null) {
+      const distance = distanceInMiles(origin, {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+      });
+      const min = zone.radius_miles.min || 0;
+
+      if (distance >= min && distance <= zone.radius_miles.max) {
+        return { zone, distance };
+      }
+    }
+  }
+
+  return null;
+};
+
+// Quote delivery for an address and cart amount (cents, after discounts).
+// Returns available: false with a reason when the address or order doesn't qualify.
+export const quoteDelivery = async ({ zipCode, latitude, longitude, amountCents = 0 }) => {
+  const settings = await getSetting('delivery');
+  const match = findZone(settings, { zipCode, latitude, longitude });
+
+  if (!match) {
+    return {
+      available: false,
+      reason: 'Sorry, we do not deliver to this address',
+    };
+  }
+
+  const { zone, distance } = match;
+  const minOrderCents = toCents(zone.min_order || 0);
+  const thresholdCents = zone.free_delivery_threshold ? toCents(zone.free_delivery_threshold) : null;
+  const freeDelivery = thresholdCents !== null && amountCents >= thresholdCents;
+
+  const quote = {
+    available: amountCents >= minOrderCents,
+    zone: zone.name,
+    distanceMiles: distance !== undefined ? Math.round(distance * 10) / 10 : null,
+    feeCents: freeDelivery ? 0 : toCents(zone.fee || 0),
+    minOrderCents,
+    freeDeliveryThresholdCents: thresholdCents,
+    amountToFreeDeliveryCents: thresholdCents !== null ? Math.max(thresholdCents - amountCents, 0) : null,
+  };
+
+  if (!quote.available) {
+    quote.reason = `Delivery to ${zone.name} requires a minimum order of $${toDollars(minOrderCents).toFixed(2)}`;
+  }
+
+  return quote;
+};
+
+// Quote delivery and reject the order if the address can't be served
+export const requireDelivery = async (address) => {
+  const quote = await quoteDelivery(address);
+
+  if (!quote.available) {
+    throw new AppError(quote.reason, 400);
+  }
+
+  return quote;
+};
+
+// Shape a delivery quote for API responses (amounts in dollars)
+export const formatDeliveryQuote = (quote) => ({
+  available: quote.available,
+  reason: quote.reason || null,
+  zone: quote.zone || null,
+  distanceMiles: quote.distanceMiles ?? null,
+  fee: quote.feeCents !== undefined ? toDollars(quote.feeCents) : null,
+  minOrder: quote.minOrderCents !== undefined ? toDollars(quote.minOrderCents) : null,
+  freeDeliveryThreshold: quote.freeDeliveryThresholdCents != null ? toDollars(quote.freeDeliveryThresholdCents) : null,
+  amountToFreeDelivery: quote.amountToFreeDeliveryCents != null ? toDollars(quote.amountToFreeDeliveryCents) : null,
+});
+
+export default { validateDeliverySettings, distanceInMiles, quoteDelivery, requireDelivery, formatDeliveryQuote };
@@ -0,0 +1,662 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toCents, toDollars, allocateCents } from './money.js';
+import { productsInCategoriesSql } from './categories.js';
+
+// The discount engine. Given priced cart lines (see priceItems) and the
+// specials being used, it works out what each special takes off each line.
+// POST /api/specials/validate-code and checkout both go through it, so the
+// customer is shown exactly what they will be charged, and the per-line
+// amounts are what tax and refunds are calculated from.
+//
+// What special.value means for each type:
+//   discount_percentage  number - percent off the qualifying items
+//   bundle_discount      { percentage, quantity } - percent off complete
+//                        bundles only. With product_ids a bundle is one of
+//                        each of those products; otherwise it is `quantity`
+//                        (default 2) qualifying items. A plain number is the
+//                        percentage.
+//   fixed_price          { price, quantity } - every `quantity` (default 1)
+//                        qualifying items cost `price` together. A plain
+//                        number is the older fixed amount off the qualifying items.
+//   buy_x_get_y          { buy_quantity, get_quantity, buy_product_ids,
+//                        buy_category_ids, get_product_ids, get_category_ids }
+//                        - the customer picks free items from their cart
+//   quantity_break       { tiers: [{ quantity, price }] } - every `quantity`
+//                        qualifying items cost `price` together, largest
+//                        tier first ("6 for $18, 12 for $33")
+//   spend_tier           { tiers: [{ min_spend, percentage | amount }] } - the
+//                        highest tier the qualifying items' total reaches
+//                        comes off them ("spend $50 get 10% off")
+// Where a special only covers some of the items, the most expensive ones are
+// used first.
+//
+// Auto-applied specials are tried on every cart. Which specials end up used
+// together follows their stacking setting: an exclusive special is used on its
+// own, stackable specials combine with each other and with one best_of
+// special - the best_of special that saves the most. A promo code the
+// customer entered is used with whatever automatic specials its stacking
+// allows, as long as that saves more than the automatic specials would on
+// their own - otherwise the code is turned down and the customer told why.
+
+export const SPECIAL_TYPES = [
+  'discount_percentage',
+  'bundle_discount',
+  'buy_x_get_y',
+  'fixed_price',
+  'quantity_break',
+  'spend_tier',
+];
+
+export const STACKING_MODES = ['exclusive', 'stackable', 'best_of'];
+
+// Product ids a special applies to (null means every product qualifies)
+export const getTargetProductIds = async (productIds = [], categoryIds = []) => {
+  if (productIds?.length > 0) {
+    return productIds.map(id => parseInt(id));
+  }
+  if (categoryIds?.length > 0) {
+    const result = await query(
+      `SELECT id FROM products WHERE id IN ${productsInCategoriesSql('$1')} AND active = true`,
+      [categoryIds]
+    );
+    return result.rows.map(row => row.id);
+  }
+  return null;
+};
+
+// Buy and get product ids of a buy_x_get_y special. Without its own lists it
+// falls back to the special's product_ids/category_ids.
+export const getBuyGetProductIds = async (special) => {
+  const value = special.value || {};
+
+  let buyIds = await getTargetProductIds(
+    value.buy_product_ids || value.buyProductIds,
+    value.buy_category_ids || value.buyCategoryIds
+  );
+  let getIds = await getTargetProductIds(
+    value.get_product_ids || value.getProductIds,
+    value.get_category_ids || value.getCategoryIds
+  );
+
+  if (!buyIds && !getIds) {
+    buyIds = await getTargetProductIds(special.product_ids, special.category_ids);
+    getIds = buyIds;
+  }
+
+  return { buyIds, getIds };
+};
+
+// The product ids of each special ({ targetIds } or, for buy_x_get_y,
+// { buyIds, getIds }), keyed by special. Looked up once so specials can be
+// evaluated over and over without going back to the database.
+const loadTargets = async (specials) => new Map(await Promise.all(specials.map(async special => [
+  special,
+  special.type === 'buy_x_get_y'
+    ? await getBuyGetProductIds(special)
+    : { targetIds: await getTargetProductIds(special.product_ids, special.category_ids) },
+])));
+
+const toNumber = (value, fallback = null) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const clampPercentage = (value) => Math.min(Math.max(toNumber(value, 0), 0), 100);
+
+const isPercentage = (value) => toNumber(value) !== null && toNumber(value) > 0 && toNumber(value) <= 100;
+const isCount = (value, min) => value === undefined || (Number.isInteger(Number(value)) && Number(value) >= min);
+
+// Tiers of a quantity_break or spend_tier special, ordered by `key` from the largest
+const tiersOf = (value, key) => [...(value?.tiers || [])].sort((a, b) => toNumber(b[key], 0) - toNumber(a[key], 0));
+
+const hasDuplicates = (numbers) => new Set(numbers).size !== numbers.length;
+
+// Check a special's value means something for its type before it is saved
+export const validateSpecialValue = (type, value) => {
+  const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  switch (type) {
+    case 'discount_percentage':
+      if (!isPercentage(isObject ? value.percentage : value)) {
+        throw new AppError('A percentage discount needs a value between 0 and 100', 400);
+      }
+      break;
+
+    case 'bundle_discount':
+      if (!isPercentage(isObject ? value.percentage : value)) {
+        throw new AppError('A bundle discount needs a percentage between 0 and 100', 400);
+      }
+      if (isObject && !isCount(value.quantity, 2)) {
+        throw new AppError('A bundle needs a quantity of at least 2', 400);
+      }
+      break;
+
+    case 'fixed_price':
+      if (isObject) {
+        if (toNumber(value.price) === null || toNumber(value.price) < 0) {
+          throw new AppError('A fixed price special needs a price', 400);
+        }
+        if (!isCount(value.quantity, 1)) {
+          throw new AppError('A fixed price special needs a quantity of at least 1', 400);
+        }
+      } else if (!(toNumber(value) > 0)) {
+        throw new AppError('A fixed price special needs { price, quantity } or an amount off', 400);
+      }
+      break;
+
+    case 'buy_x_get_y':
+      if (!isObject) {
+        throw new AppError('A buy X get Y special needs { buy_quantity, get_quantity }', 400);
+      }
+      break;
+
+    case 'quantity_break': {
+      const tiers = isObject && Array.isArray(value.tiers) ? value.tiers : [];
+      if (tiers.length === 0) {
+        throw new AppError('A quantity break special needs { tiers: [{ quantity, price }] }', 400);
+      }
+      for (const tier of tiers) {
+        if (tier?.quantity === undefined || !isCount(tier.quantity, 1)) {
+          throw new AppError('Each quantity break needs a quantity of at least 1', 400);
+        }
+        if (toNumber(tier.price) === null || toNumber(tier.price) < 0) {
+          throw new AppError('Each quantity break needs a price', 400);
+        }
+      }
+      if (hasDuplicates(tiers.map(tier => Number(tier.quantity)))) {
+        throw new AppError('Quantity breaks must each have a different quantity', 400);
+      }
+      break;
+    }
+
+    case 'spend_tier': {
+      const tiers = isObject && Array.isArray(value.tiers) ? value.tiers : [];
+      if (tiers.length === 0) {
+        throw new AppError('A spend tier special needs { tiers: [{ min_spend, percentage or amount }] }', 400);
+      }
+      for (const tier of tiers) {
+        if (!(toNumber(tier?.min_spend) > 0)) {
+          throw new AppError('Each spend tier needs a min_spend above 0', 400);
+        }
+        if ((tier.percentage === undefined) === (tier.amount === undefined)) {
+          throw new AppError('Each spend tier needs either a percentage or an amount off', 400);
+        }
+        if (tier.percentage !== undefined && !isPercentage(tier.percentage)) {
+          throw new AppError('Spend tier percentages must be between 0 and 100', 400);
+        }
+        if (tier.amount !== undefined && !(toNumber(tier.amount) > 0)) {
+          throw new AppError('Spend tier amounts must be above 0', 400);
+        }
+      }
+      if (hasDuplicates(tiers.map(tier => toCents(tier.min_spend)))) {
+        throw new AppError('Spend tiers must each have a different min_spend', 400);
+      }
+      break;
+    }
+
+    default:
+      throw new AppError('Invalid special type', 400);
+  }
+};
+
+// Units of the given lines, most expensive first, as runs of identical units
+// ({ index, unitCents, count }) so large quantities cost no more to work
+// through than small ones. unitCents is what is left of the unit's price
+// after earlier specials.
+const unitsOf = (lines, remaining, indexes) => indexes
+  .map(index => ({
+    index,
+    unitCents: remaining[index] / lines[index].quantity,
+    count: lines[index].quantity,
+  }))
+  .sort((a, b) => b.unitCents - a.unitCents || a.index - b.index);
+
+const countUnits = (units) => units.reduce((sum, run) => sum + run.count, 0);
+
+// The units from position start up to (not including) end
+const sliceUnits = (units, start, end) => {
+  const slice = [];
+  let position = 0;
+
+  for (const run of units) {
+    const from = Math.max(start, position);
+    const to = Math.min(end, position + run.count);
+    if (to > from) slice.push({ ...run, count: to - from });
+    position += run.count;
+  }
+
+  return slice;
+};
+
+// `count` groups of `size` units, starting at position start. Consecutive
+// groups that fall within one run are the same, so they come back as a single
+// { units, times } entry.
+const groupsOf = (units, start, size, count) => {
+  const groups = [];
+  const end = start + size * count;
+  let position = start;
+
+  while (position < end) {
+    let runStart = 0;
+    const run = units.find(candidate => {
+      if (position < runStart + candidate.count) return true;
+      runStart += candidate.count;
+      return false;
+    });
+
+    const whole = Math.min(Math.floor((runStart + run.count - position) / size), (end - position) / size);
+    if (whole > 0) {
+      groups.push({ units: [{ ...run, count: size }], times: whole });
+      position += whole * size;
+    } else {
+      groups.push({ units: sliceUnits(units, position, position + size), times: 1 });
+      position += size;
+    }
+  }
+
+  return groups;
+};
+
+// Per-line weights for the given units
+const weightsOf = (lines, units) => {
+  const weights = lines.map(() => 0);
+  for (const run of units) {
+    weights[run.index] += run.unitCents * run.count;
+  }
+  return weights;
+};
+
+// What selling groups of units at set prices saves. groups is a list of
+// { units, priceCents, times }; each group's saving is shared by its items,
+// and a group that already costs less than its set price saves nothing.
+const groupSavings = (lines, groups) => {
+  const weights = lines.map(() => 0);
+  let discountCents = 0;
+
+  for (const { units, priceCents, times = 1 } of groups) {
+    const groupCents = units.reduce((sum, run) => sum + run.unitCents * run.count, 0);
+    const savingCents = groupCents - priceCents;
+    if (savingCents <= 0) continue;
+
+    discountCents += savingCents * times;
+    for (const run of units) {
+      weights[run.index] += (savingCents * times * run.unitCents * run.count) / groupCents;
+    }
+  }
+
+  return { discountCents, weights };
+};
+
+const result = (lines, discountCents, weights, details = {}) => {
+  const lineDiscounts = allocateCents(Math.max(Math.round(discountCents), 0), weights);
+  return {
+    discountCents: lineDiscounts.reduce((sum, cents) => sum + cents, 0),
+    lineDiscounts,
+    ...details,
+  };
+};
+
+const notApplicable = (lines, error, details = {}) => ({
+  discountCents: 0,
+  lineDiscounts: lines.map(() => 0),
+  error,
+  ...details,
+});
+
+// Work out one special against the cart. remaining is what is left of each
+// line's total after earlier specials (defaults to the line totals). targets
+// are the special's product ids if already loaded. Returns
+// { discountCents, lineDiscounts, ... }, with `error` set when the cart
+// doesn't meet the special's conditions.
+export const evaluateSpecial = async (special, lines, { remaining = lines.map(line => line.lineTotalCents), selectedFreeItems = [], targets = null } = {}) => {
+  const subtotalCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+
+  if (special.min_purchase && subtotalCents < toCents(special.min_purchase)) {
+    return notApplicable(lines, `Minimum purchase of $${parseFloat(special.min_purchase).toFixed(2)} required`);
+  }
+
+  const value = special.value ?? {};
+
+  if (special.type === 'buy_x_get_y') {
+    const buyQuantity = parseInt(value.buy_quantity || value.buyQuantity) || 1;
+    const getQuantity = parseInt(value.get_quantity || value.getQuantity) || 1;
+    const { buyIds, getIds } = targets?.get(special) ?? await getBuyGetProductIds(special);
+
+    const buyCartQuantity = lines
+      .filter(line => !buyIds || buyIds.includes(line.productId))
+      .reduce((sum, line) => sum + line.quantity, 0);
+
+    const details = { buyQuantity, getQuantity, buyIds, getIds };
+
+    if (buyCartQuantity < buyQuantity) {
+      const itemsNeeded = buyQuantity - buyCartQuantity;
+      return notApplicable(lines, `Add ${itemsNeeded} more qualifying item(s) to use this promo`, { ...details, itemsNeeded });
+    }
+
+    // Free items must be in the cart and are priced from the cart, never from the client
+    const totalFreeQuantity = Math.floor(buyCartQuantity / buyQuantity) * getQuantity;
+    let freeQuantityLeft = totalFreeQuantity;
+    const freeItems = [];
+    const weights = lines.map(() => 0);
+
+    for (const selection of selectedFreeItems) {
+      const productId = parseInt(selection.id ?? selection.productId);
+      const variantId = selection.variantId ?? selection.variant_id;
+      if (getIds && !getIds.includes(productId)) continue;
+
+      const index = lines.findIndex(line => line.productId === productId
+        && (variantId === undefined || line.variantId === parseInt(variantId)));
+      if (index === -1) continue;
+
+      const alreadyFree = freeItems
+        .filter(item => item.index === index)
+        .reduce((sum, item) => sum + item.quantity, 0);
+      const quantity = Math.min(parseInt(selection.quantity) || 0, lines[index].quantity - alreadyFree, freeQuantityLeft);
+      if (quantity <= 0) continue;
+
+      weights[index] += (remaining[index] / lines[index].quantity) * quantity;
+      freeQuantityLeft -= quantity;
+      freeItems.push({ index, productId, variantId: lines[index].variantId, name: lines[index].name, quantity });
+    }
+
+    const discountCents = weights.reduce((sum, cents) => sum + cents, 0);
+    return result(lines, discountCents, weights, { ...details, totalFreeQuantity, freeItems });
+  }
+
+  const { targetIds } = targets?.get(special) ?? { targetIds: await getTargetProductIds(special.product_ids, special.category_ids) };
+  const qualifying = lines
+    .map((line, index) => index)
+    .filter(index => !targetIds || targetIds.includes(lines[index].productId));
+
+  if (qualifying.length === 0) {
+    return notApplicable(lines, 'None of the items in your cart qualify for this promo');
+  }
+
+  const qualifyingWeights = lines.map((line, index) => (qualifying.includes(index) ? remaining[index] : 0));
+  const qualifyingCents = qualifyingWeights.reduce((sum, cents) => sum + cents, 0);
+
+  switch (special.type) {
+    case 'discount_percentage': {
+      const percentage = clampPercentage(typeof value === 'object' ? value.percentage : value);
+      return result(lines, (qualifyingCents * percentage) / 100, qualifyingWeights);
+    }
+
+    case 'bundle_discount': {
+      const percentage = clampPercentage(typeof value === 'object' ? value.percentage : value);
+      let bundled;
+
+      if (special.product_ids?.length > 0) {
+        // One of each product makes a bundle
+        const bundleIds = [...new Set(special.product_ids.map(id => parseInt(id)))];
+        const quantities = bundleIds.map(productId => lines
+          .filter(line => line.productId === productId)
+          .reduce((sum, line) => sum + line.quantity, 0));
+        const bundles = Math.min(...quantities);
+
+        if (bundles === 0) {
+          return notApplicable(lines, 'Add every item in the bundle to your cart to use this promo');
+        }
+
+        bundled = bundleIds.flatMap(productId => sliceUnits(unitsOf(
+          lines,
+          remaining,
+          qualifying.filter(index => lines[index].productId === productId)
+        ), 0, bundles));
+      } else {
+        const size = parseInt(value.quantity) || 2;
+        const units = unitsOf(lines, remaining, qualifying);
+        const unitCount = countUnits(units);
+        const bundles = Math.floor(unitCount / size);
+
+        if (bundles === 0) {
+          return notApplicable(lines, `Add ${size - unitCount} more qualifying item(s) to complete the bundle`, { itemsNeeded: size - unitCount });
+        }
+
+        bundled = sliceUnits(units, 0, bundles * size);
+      }
+
+      const weights = weightsOf(lines, bundled);
+      const bundledCents = weights.reduce((sum, cents) => sum + cents, 0);
+      return result(lines, (bundledCents * percentage) / 100, weights);
+    }
+
+    case 'fixed_price': {
+      // Older specials: a fixed amount off the qualifying items
+      if (typeof value !== 'object') {
+        return result(lines, Math.min(toCents(value), qualifyingCents), qualifyingWeights);
+      }
+
+      const priceCents = toCents(value.price);
+      const size = parseInt(value.quantity) || 1;
+      const units = unitsOf(lines, remaining, qualifying);
+      const unitCount = countUnits(units);
+      const groups = Math.floor(unitCount / size);
+
+      if (groups === 0) {
+        return notApplicable(lines, `Add ${size - unitCount} more qualifying item(s) to use this promo`, { itemsNeeded: size - unitCount });
+      }
+
+      const { discountCents, weights } = groupSavings(lines, groupsOf(units, 0, size, groups)
+        .map(group => ({ ...group, priceCents })));
+      return result(lines, discountCents, weights);
+    }
+
+    case 'quantity_break': {
+      const tiers = tiersOf(value, 'quantity').map(tier => ({
+        quantity: parseInt(tier.quantity),
+        priceCents: toCents(tier.price),
+      }));
+      const units = unitsOf(lines, remaining, qualifying);
+      const unitCount = countUnits(units);
+      const smallest = tiers[tiers.length - 1].quantity;
+
+      if (unitCount < smallest) {
+        return notApplicable(lines, `Add ${smallest - unitCount} more qualifying item(s) to use this promo`, { itemsNeeded: smallest - unitCount });
+      }
+
+      // Fill the largest tiers first; leftover items are full price
+      const groups = [];
+      let used = 0;
+      for (const tier of tiers) {
+        const count = Math.floor((unitCount - used) / tier.quantity);
+        if (count === 0) continue;
+
+        groups.push(...groupsOf(units, used, tier.quantity, count).map(group => ({ ...group, priceCents: tier.priceCents })));
+        used += count * tier.quantity;
+      }
+
+      const { discountCents, weights } = groupSavings(lines, groups);
+      return result(lines, discountCents, weights);
+    }
+
+    case 'spend_tier': {
+      // Spend is counted before other discounts, like min_purchase
+      const spendCents = qualifying.reduce((sum, index) => sum + lines[index].lineTotalCents, 0);
+      const tiers = tiersOf(value, 'min_spend');
+      const tier = tiers.find(candidate => spendCents >= toCents(candidate.min_spend));
+
+      if (!tier) {
+        const amountNeededCents = toCents(tiers[tiers.length - 1].min_spend) - spendCents;
+        return notApplicable(
+          lines,
+          `Spend $${toDollars(amountNeededCents).toFixed(2)} more on qualifying items to use this promo`,
+          { amountNeeded: toDollars(amountNeededCents) }
+        );
+      }
+
+      const discountCents = tier.percentage !== undefined
+        ? (qualifyingCents * clampPercentage(tier.percentage)) / 100
+        : Math.min(toCents(tier.amount), qualifyingCents);
+      return result(lines, discountCents, qualifyingWeights, {
+        tier: {
+          minSpend: parseFloat(tier.min_spend),
+          ...(tier.percentage !== undefined ? { percentage: parseFloat(tier.percentage) } : { amount: parseFloat(tier.amount) }),
+        },
+      });
+    }
+
+    default:
+      return notApplicable(lines, 'This promo cannot be applied');
+  }
+};
+
+// Apply specials to the cart in turn - each one works on what is left after
+// the ones before it. Throws if the cart doesn't qualify for one of them.
+// Returns the lines with their discountCents, the total and what each special gave.
+export const applyDiscounts = async (lines, specials, { selectedFreeItems = [], targets = null } = {}) => {
+  const remaining = lines.map(line => line.lineTotalCents);
+  const applied = [];
+
+  for (const special of specials) {
+    const evaluation = await evaluateSpecial(special, lines, { remaining, selectedFreeItems, targets });
+    if (evaluation.error) {
+      throw new AppError(evaluation.error, 400);
+    }
+
+    evaluation.lineDiscounts.forEach((cents, index) => {
+      remaining[index] -= cents;
+    });
+    applied.push({ special, ...evaluation });
+  }
+
+  return {
+    lines: lines.map((line, index) => ({ ...line, discountCents: line.lineTotalCents - remaining[index] })),
+    discountCents: lines.reduce((sum, line, index) => sum + line.lineTotalCents - remaining[index], 0),
+    applied,
+  };
+};
+
+// Active auto-applied specials, oldest first (the order they are applied in)
+export const findAutoSpecials = async () => {
+  const result = await query(
+    `SELECT * FROM specials
+     WHERE auto_apply = true
+     AND active = true
+     AND start_date <= NOW()
+     AND end_date >= NOW()
+     ORDER BY id ASC`
+  );
+
+  return result.rows;
+};
+
+// Sets of specials that may be used together: each exclusive special alone,
+// or all the stackable ones with none or one of the best_of ones
+const combinations = (specials) => {
+  const isStackable = special => (special.stacking || 'exclusive') === 'stackable';
+
+  return [
+    ...specials.filter(special => (special.stacking || 'exclusive') === 'exclusive').map(special => [special]),
+    specials.filter(isStackable),
+    ...specials
+      .filter(special => special.stacking === 'best_of')
+      .map(bestOf => specials.filter(special => special === bestOf || isStackable(special))),
+  ];
+};
+
+// Pick the specials for a cart: the automatic specials it qualifies for and
+// the promo code, if any, combined under their stacking rules so the customer
+// saves the most. Throws if the cart doesn't qualify for the promo code, or if
+// the code would save less than the automatic specials it can't be used with.
+// Returns the same shape as applyDiscounts. Pass targets when choosing for
+// many carts from the same specials, so their product ids are looked up once.
+export const chooseDiscounts = async (lines, { autoSpecials = [], codeSpecial = null, selectedFreeItems = [], targets = null } = {}) => {
+  if (!targets) {
+    targets = await loadTargets(codeSpecial ? [...autoSpecials, codeSpecial] : autoSpecials);
+  }
+
+  // Automatic specials the cart doesn't qualify for are simply left out
+  const candidates = [];
+  for (const special of autoSpecials) {
+    if (codeSpecial && special.id === codeSpecial.id) continue;
+    const evaluation = await evaluateSpecial(special, lines, { selectedFreeItems, targets });
+    if (!evaluation.error && evaluation.discountCents > 0) {
+      candidates.push(special);
+    }
+  }
+
+  const bestOf = async (specials, { withCode }) => {
+    let best = null;
+    for (const combination of combinations(specials)) {
+      if (withCode && !combination.includes(codeSpecial)) continue;
+
+      const discounted = await applyDiscounts(lines, combination, { selectedFreeItems, targets });
+      if (!best || discounted.discountCents > best.discountCents) {
+        best = discounted;
+      }
+    }
+    return best;
+  };
+
+  const automatic = await bestOf(candidates, { withCode: false });
+  if (!codeSpecial) {
+    return automatic;
+  }
+
+  const withCode = await bestOf([...candidates, codeSpecial], { withCode: true });
+  if (automatic.discountCents > 0 && withCode.discountCents <= automatic.discountCents) {
+    const names = automatic.applied.map(entry => entry.special.name).join(', ');
+    throw new AppError(`This promo code can't be combined with ${names}, which already saves you as much or more`, 400);
+  }
+
+  return withCode;
+};
+
+// Attach what customers see in the catalog to each product: the automatic
+// specials it is part of (for badges) and its sale_price - what one of it
+// costs after the specials that need nothing else in the cart. Variants get
+// their own sale_price. sale_price is null when nothing comes off.
+export const applySalePrices = async (products) => {
+  const autoSpecials = await findAutoSpecials();
+  const targets = await loadTargets(autoSpecials);
+  const productIds = new Map(autoSpecials.map(special => {
+    const { targetIds, buyIds, getIds } = targets.get(special);
+    return [special, special.type === 'buy_x_get_y' ? (buyIds && getIds ? [...buyIds, ...getIds] : null) : targetIds];
+  }));
+
+  const salePrice = async (product, specials, price, variantId = null) => {
+    const priceCents = toCents(price);
+    const line = { productId: product.id, variantId, name: product.name, quantity: 1, unitPriceCents: priceCents, lineTotalCents: priceCents };
+    const discounted = await chooseDiscounts([line], { autoSpecials: specials, targets });
+    return discounted.discountCents > 0 ? toDollars(priceCents - discounted.discountCents) : null;
+  };
+
+  return Promise.all(products.map(async (product) => {
+    const specials = autoSpecials.filter(special => !productIds.get(special) || productIds.get(special).includes(product.id));
+    if (specials.length === 0) {
+      return { ...product, specials: [], sale_price: null };
+    }
+
+    return {
+      ...product,
+      specials: specials.map(special => ({
+        id: special.id,
+        name: special.name,
+        description: special.description,
+        type: special.type,
+        image: special.image,
+      })),
+      sale_price: await salePrice(product, specials, product.price),
+      ...(product.variants && {
+        variants: await Promise.all(product.variants.map(async variant => ({
+          ...variant,
+          sale_price: await salePrice(product, specials, variant.price, variant.id),
+        }))),
+      }),
+    };
+  }));
+};
+
+export default {
+  SPECIAL_TYPES,
+  STACKING_MODES,
+  getTargetProductIds,
+  getBuyGetProductIds,
+  validateSpecialValue,
+  evaluateSpecial,
+  applyDiscounts,
+  findAutoSpecials,
+  chooseDiscounts,
+  applySalePrices,
+};
@@ -0,0 +1,313 @@
+import stripe from '../config/stripe.js';
+import { query, getClient } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toCents, toDollars } from './money.js';
+import { recordStatusChange } from './orderStatus.js';
+import { deductStock } from './inventory.js';
+import { deductIngredientsForOrder } from './recipes.js';
+import { recordRedemption } from './redemptions.js';
+import { requirePickupSlot } from './pickupSlots.js';
+
+// Generate order number
+export const generateOrderNumber = () => {
+  const timestamp = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+  return `LT-${timestamp}-${random}`;
+};
+
+// Lock a generated promo code and reject it if it has been voided, redeemed,
+// or is held by another checkout that hasn't expired or become an order.
+// The holds are read after the lock is taken so a concurrent checkout's hold
+// is always seen.
+const requirePromoCodeFree = async (client, promoCodeId) => {
+  const locked = await client.query(
+    'SELECT id, code, voided_at FROM promo_codes WHERE id = $1 FOR UPDATE',
+    [promoCodeId]
+  );
+  const promoCode = locked.rows[0];
+  if (!promoCode || promoCode.voided_at) {
+    throw new AppError('Invalid or expired promo code', 400);
+  }
+
+  const result = await client.query(
+    `SELECT
+       EXISTS (
+         SELECT 1 FROM special_redemptions r WHERE r.promo_code_id = $1 AND r.voided_at IS NULL
+       ) as redeemed,
+       EXISTS (
+         SELECT 1 FROM checkout_sessions cs
+         WHERE cs.promo_code_id = $1
+         AND cs.expires_at > NOW()
+         AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.stripe_session_id = cs.stripe_session_id)
+       ) as held`,
+    [promoCode.id]
+  );
+  const { redeemed, held } = result.rows[0];
+
+  if (redeemed) {
+    throw new AppError('Invalid or expired promo code', 400);
+  }
+  if (held) {
+    throw new AppError(`Promo code ${promoCode.code} is being used in another checkout. Try again in a few minutes.`, 400);
+  }
+};
+
+// Keep the priced cart lines until the order is created. This is saved before
+// the Stripe session is created, so a session that can be paid always has its
+// items; the returned id goes in the session's metadata as checkoutId.
+// A pickup checkout also holds its slot until expiresAt, and a checkout with
+// a generated single-use promo code holds the code. Both are checked again
+// under a lock so concurrent checkouts can't overbook a slot or share a code.
+export const saveCheckoutSession = async (lines, { pickupDate = null, pickupTime = null, promoCodeId = null, expiresAt = null } = {}) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    if (pickupDate && pickupTime) {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`pickup:${pickupDate}`]);
+      await requirePickupSlot(pickupDate, pickupTime, { db: client });
+    }
+
+    if (promoCodeId) {
+      await requirePromoCodeFree(client, promoCodeId);
+    }
+
+    const result = await client.query(
+      `INSERT INTO checkout_sessions (items, pickup_time, promo_code_id, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [
+        JSON.stringify(lines),
+        pickupDate && pickupTime ? new Date(`${pickupDate}T${pickupTime}`) : null,
+        promoCodeId,
+        expiresAt,
+      ]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0].id;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Link a saved checkout to the Stripe session created for it
+export const attachStripeSession = async (checkoutId, sessionId) => {
+  await query('UPDATE checkout_sessions SET stripe_session_id = $1 WHERE id = $2', [sessionId, checkoutId]);
+};
+
+// Forget a saved checkout whose Stripe session could not be created
+export const discardCheckoutSession = async (checkoutId) => {
+  await query('DELETE FROM checkout_sessions WHERE id = $1 AND stripe_session_id IS NULL', [checkoutId]);
+};
+
+// Priced lines for a session. Sessions created before checkout_sessions kept
+// the lines carry their items in metadata instead.
+const getSessionLines = async (sessionId, metadata) => {
+  const result = await query(
+    'SELECT items FROM checkout_sessions WHERE (stripe_session_id = $1 OR id::text = $2) AND items IS NOT NULL',
+    [sessionId, metadata.checkoutId || null]
+  );
+  if (result.rows.length > 0) {
+    return result.rows[0].items;
+  }
+
+  const items = metadata.items ? JSON.parse(metadata.items) : [];
+  return items.map(item => ({
+    productId: item.id || null,
+    variantId: null,
+    name: item.name,
+    variantName: null,
+    sku: null,
+    modifiers: [],
+    quantity: item.quantity,
+    unitPriceCents: toCents(item.price),
+    lineTotalCents: toCents(item.price) * item.quantity,
+  }));
+};
+
+// Write priced cart lines (and their modifiers) to order_items. Call inside a
+// transaction. Returns the lines with their new orderItemId.
+export const insertOrderItems = async (client, orderId, lines) => {
+  const items = [];
+
+  for (const line of lines) {
+    const itemResult = await client.query(
+      `INSERT INTO order_items (order_id, product_id, variant_id, product_name, variant_name, sku, quantity, unit_price, total_price, discount_amount, tax_amount)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING id`,
+      [
+        orderId,
+        line.productId || null,
+        line.variantId || null,
+        line.name,
+        line.variantName || null,
+        line.sku || null,
+        line.quantity,
+        toDollars(line.unitPriceCents).toFixed(2),
+        toDollars(line.lineTotalCents).toFixed(2),
+        line.taxCents !== undefined ? toDollars(line.discountCents || 0).toFixed(2) : null,
+        line.taxCents !== undefined ? toDollars(line.taxCents).toFixed(2) : null,
+      ]
+    );
+
+    for (const modifier of line.modifiers || []) {
+      await client.query(
+        `INSERT INTO order_item_modifiers (order_item_id, group_id, option_id, group_name, option_name, text_value, price_delta)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          itemResult.rows[0].id,
+          modifier.groupId,
+          modifier.optionId,
+          modifier.groupName,
+          modifier.optionName,
+          modifier.text,
+          toDollars(modifier.priceDeltaCents).toFixed(2),
+        ]
+      );
+    }
+
+    items.push({ ...line, orderItemId: itemResult.rows[0].id });
+  }
+
+  return items;
+};
+
+const findOrderBySession = async (sessionId) => {
+  const result = await query(
+    'SELECT * FROM orders WHERE stripe_session_id = $1',
+    [sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+// Create the order for a paid Stripe Checkout Session.
+// Shared by POST /api/checkout/confirm-order and the checkout.session.completed
+// webhook. It is idempotent on stripe_session_id: whichever caller arrives first
+// creates the order and every later call returns it with created = false.
+export const fulfillCheckoutSession = async (sessionId, { customerId } = {}) => {
+  const existingOrder = await findOrderBySession(sessionId);
+  if (existingOrder) {
+    return { order: existingOrder, created: false };
+  }
+
+  // Retrieve session from Stripe
+  const session = await stripe.checkout.sessions.retrieve(sessionId, {
+    expand: ['payment_intent'],
+  });
+
+  // Verify payment was successful
+  if (session.payment_status !== 'paid') {
+    throw new AppError('Payment not completed', 400);
+  }
+
+  // Parse metadata
+  const metadata = session.metadata || {};
+  const lines = await getSessionLines(sessionId, metadata);
+  const deliveryAddress = metadata.deliveryAddress ? JSON.parse(metadata.deliveryAddress) : null;
+
+  // Totals were priced server-side and stored on the session when it was created
+  const subtotal = parseInt(metadata.subtotalCents || 0) / 100;
+  const discount = parseInt(metadata.discountCents || 0) / 100;
+  const promoDiscount = parseInt(metadata.promoDiscountCents || 0) / 100;
+  const tax = parseInt(metadata.taxCents || 0) / 100;
+  const deliveryFee = parseInt(metadata.deliveryFeeCents || 0) / 100;
+  const total = session.amount_total / 100;
+
+  // Determine customer ID - prefer the one passed in (authenticated user), fallback to metadata
+  const orderCustomerId = customerId || (metadata.customerId ? parseInt(metadata.customerId) : null);
+
+  // Parse pickup time if available
+  let pickupTime = null;
+  if (metadata.pickupDate && metadata.pickupTime) {
+    pickupTime = new Date(`${metadata.pickupDate}T${metadata.pickupTime}`);
+  }
+
+  let deliveryTime = null;
+  if (metadata.deliveryDate) {
+    deliveryTime = new Date(`${metadata.deliveryDate}T${metadata.deliveryTime || '00:00'}`);
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Create order - a concurrent fulfillment of the same session loses the
+    // unique stripe_session_id race and inserts nothing
+    const orderResult = await client.query(
+      `INSERT INTO orders (
+        customer_id, order_number, status, subtotal, discount, tax, delivery_fee, total,
+        fulfillment_type, pickup_time, delivery_time, delivery_address,
+        customer_name, customer_email, customer_phone,
+        stripe_session_id, stripe_payment_intent, special_id, promo_code, promo_discount
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      ON CONFLICT (stripe_session_id) DO NOTHING
+      RETURNING *`,
+      [
+        orderCustomerId,
+        generateOrderNumber(),
+        'confirmed',
+        subtotal.toFixed(2),
+        discount.toFixed(2),
+        tax.toFixed(2),
+        deliveryFee.toFixed(2),
+        total.toFixed(2),
+        metadata.orderType || 'pickup',
+        pickupTime,
+        deliveryTime,
+        deliveryAddress ? JSON.stringify(deliveryAddress) : null,
+        metadata.customerName || session.customer_email,
+        metadata.customerEmail || session.customer_email,
+        metadata.customerPhone || null,
+        sessionId,
+        session.payment_intent?.id || null,
+        metadata.specialId ? parseInt(metadata.specialId) : null,
+        metadata.promoCode || null,
+        promoDiscount.toFixed(2),
+      ]
+    );
+
+    if (orderResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { order: await findOrderBySession(sessionId), created: false };
+    }
+
+    const order = orderResult.rows[0];
+
+    await recordStatusChange(client, order.id, null, order.status, {
+      source: 'system',
+      reason: 'Payment received',
+    });
+
+    const orderItems = await insertOrderItems(client, order.id, lines);
+
+    // Payment has been taken, so stock comes off even if it runs short
+    await deductStock(client, order.id, orderItems);
+    await deductIngredientsForOrder(client, order.id);
+    // Likewise the promo code use counts even if the code ran out meanwhile
+    await recordRedemption(client, order.id, { strict: false });
+
+    await client.query('COMMIT');
+
+    return { order, created: true };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  generateOrderNumber,
+  saveCheckoutSession,
+  attachStripeSession,
+  discardCheckoutSession,
+  insertOrderItems,
+  fulfillCheckoutSession,
+};
@@ -0,0 +1,196 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getSetting } from './settings.js';
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_RANGE_DAYS = 92;
+const DAY_MS = 86400000;
+
+// Dates are handled as 'YYYY-MM-DD' strings and stepped in UTC so DST never skips a day
+const parseDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+export const isValidDate = (date) => {
+  if (!DATE_PATTERN.test(date || '')) return false;
+  const parsed = parseDate(date);
+  return !Number.isNaN(parsed.getTime()) && formatDate(parsed) === date;
+};
+export const isValidTime = (time) => TIME_PATTERN.test(time || '');
+
+// Today's date in the server's local time, which is how pickup times are read
+export const localToday = (now = new Date()) => {
+  const offset = now.getTimezoneOffset() * 60000;
+  return new Date(now.getTime() - offset).toISOString().slice(0, 10);
+};
+
+export const addDays = (date, days) => formatDate(new Date(parseDate(date).getTime() + days * DAY_MS));
+
+// Columns for an exception row, with dates and times as plain strings
+const EXCEPTION_COLUMNS = `id,
+  to_char(start_date, 'YYYY-MM-DD') as start_date,
+  to_char(end_date, 'YYYY-MM-DD') as end_date,
+  closed,
+  to_char(open_time, 'HH24:MI') as open_time,
+  to_char(close_time, 'HH24:MI') as close_time,
+  message, created_at, updated_at`;
+
+// Validate the weekly `hours` setting before it is saved
+export const validateHoursSettings = (value) => {
+  if (!value || typeof value !== 'object') {
+    throw new AppError('Hours must be an object keyed by weekday', 400);
+  }
+
+  for (const [day, hours] of Object.entries(value)) {
+    if (!WEEKDAYS.includes(day)) {
+      throw new AppError(`Unknown weekday: ${day}`, 400);
+    }
+    if (hours.closed) continue;
+
+    if (!isValidTime(hours.open) || !isValidTime(hours.close)) {
+      throw new AppError(`${day}: open and close must be in HH:MM format`, 400);
+    }
+    if (hours.close <= hours.open) {
+      throw new AppError(`${day}: close must be after open`, 400);
+    }
+  }
+};
+
+// `closed` from JSON or a form: true/false or 'true'/'false'
+const parseClosed = (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new AppError('closed must be true or false', 400);
+};
+
+// Validate an hours exception from the request body. Fields missing from the
+// body fall back to `current` (the saved row when updating). Returns column values.
+export const validateHoursException = (body, current = {}) => {
+  const startDate = body.start_date ?? body.startDate ?? current.start_date;
+  const endDate = body.end_date ?? body.endDate ?? current.end_date ?? startDate;
+  const closed = parseClosed(body.closed ?? current.closed ?? true);
+  const openTime = body.open_time ?? body.openTime ?? current.open_time ?? null;
+  const closeTime = body.close_time ?? body.closeTime ?? current.close_time ?? null;
+  const message = body.message !== undefined ? body.message : current.message;
+
+  if (!isValidDate(startDate) || !isValidDate(endDate)) {
+    throw new AppError('start_date and end_date must be dates in YYYY-MM-DD format', 400);
+  }
+  if (endDate < startDate) {
+    throw new AppError('end_date cannot be before start_date', 400);
+  }
+
+  if (!closed) {
+    if (!isValidTime(openTime) || !isValidTime(closeTime)) {
+      throw new AppError('Special hours need open_time and close_time in HH:MM format', 400);
+    }
+    if (closeTime <= openTime) {
+      throw new AppError('close_time must be after open_time', 400);
+    }
+  }
+
+  return {
+    startDate,
+    endDate,
+    closed,
+    openTime: closed ? null : openTime,
+    closeTime: closed ? null : closeTime,
+    message: message || null,
+  };
+};
+
+// Exceptions overlapping a date range (either end may be left open), oldest first
+export const getHoursExceptions = async (from = null, to = null) => {
+  const result = await query(
+    `SELECT ${EXCEPTION_COLUMNS}
+     FROM hours_exceptions
+     WHERE ($1::date IS NULL OR end_date >= $1)
+     AND ($2::date IS NULL OR start_date <= $2)
+     ORDER BY start_date, id`,
+    [from, to]
+  );
+
+  return result.rows;
+};
+
+export const getHoursException = async (id) => {
+  const result = await query(`SELECT ${EXCEPTION_COLUMNS} FROM hours_exceptions WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Resolved opening hours for every date from..to (inclusive).
+// The weekly template applies unless an exception covers the date; where
+// exceptions overlap, the most recently added one wins.
+export const getEffectiveHours = async (from, to) => {
+  if (!isValidDate(from) || !isValidDate(to)) {
+    throw new AppError('Dates must be in YYYY-MM-DD format', 400);
+  }
+  if (to < from) {
+    throw new AppError('"to" cannot be before "from"', 400);
+  }
+  if ((parseDate(to) - parseDate(from)) / DAY_MS >= MAX_RANGE_DAYS) {
+    throw new AppError(`Date range cannot be longer than ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  const weekly = await getSetting('hours');
+  const exceptions = await getHoursExceptions(from, to);
+  const days = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const weekday = WEEKDAYS[parseDate(date).getUTCDay()];
+    const exception = exceptions
+      .filter(e => e.start_date <= date && e.end_date >= date)
+      .sort((a, b) => a.id - b.id)
+      .pop();
+
+    if (exception) {
+      days.push({
+        date,
+        weekday,
+        closed: exception.closed,
+        open: exception.closed ? null : exception.open_time,
+        close: exception.closed ? null : exception.close_time,
+        message: exception.message,
+        exceptionId: exception.id,
+      });
+      continue;
+    }
+
+    const hours = weekly?.[weekday];
+    const closed = !hours || Boolean(hours.closed) || !hours.open || !hours.close;
+
+    days.push({
+      date,
+      weekday,
+      closed,
+      open: closed ? null : hours.open,
+      close: closed ? null : hours.close,
+      message: null,
+      exceptionId: null,
+    });
+  }
+
+  return days;
+};
+
+// Resolved hours for a single date
+export const getHoursForDate = async (date) => {
+  const [day] = await getEffectiveHours(date, date);
+  return day;
+};
+
+export default {
+  WEEKDAYS,
+  isValidDate,
+  isValidTime,
+  localToday,
+  addDays,
+  validateHoursSettings,
+  validateHoursException,
+  getHoursExceptions,
+  getHoursException,
+  getEffectiveHours,
+  getHoursForDate,
+};
@@ -0,0 +1,317 @@
+import { query, getClient } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Stock movements that put sold items back on the shelf
+const RESTOCK_REASONS = ['cancellation', 'refund'];
+
+// SQL for whether a product (aliased p) can't be bought right now. With active
+// variants it is sold out once none of them has stock left; a variant without
+// its own stock_quantity draws on the product's.
+export const SOLD_OUT_SQL = `
+  CASE WHEN EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.active)
+    THEN NOT EXISTS (
+      SELECT 1 FROM product_variants v
+      WHERE v.product_id = p.id AND v.active AND COALESCE(v.stock_quantity, p.stock_quantity, 1) > 0
+    )
+    ELSE COALESCE(p.stock_quantity, 1) <= 0
+  END`;
+
+// Where a line's stock is kept: the variant when it tracks its own stock,
+// otherwise the product. Returns null when stock isn't tracked.
+const findStockTarget = async (db, { productId, variantId }, { lock = false } = {}) => {
+  const forUpdate = lock ? ' FOR UPDATE' : '';
+
+  if (variantId) {
+    const variant = await db.query(`SELECT stock_quantity FROM product_variants WHERE id = $1${forUpdate}`, [variantId]);
+    if (variant.rows[0]?.stock_quantity !== null && variant.rows[0]?.stock_quantity !== undefined) {
+      return { table: 'product_variants', productId, variantId, stock: variant.rows[0].stock_quantity };
+    }
+  }
+
+  const product = await db.query(`SELECT stock_quantity FROM products WHERE id = $1${forUpdate}`, [productId]);
+  if (product.rows[0]?.stock_quantity !== null && product.rows[0]?.stock_quantity !== undefined) {
+    return { table: 'products', productId, variantId: null, stock: product.rows[0].stock_quantity };
+  }
+
+  return null;
+};
+
+const targetKey = (target) => `${target.table}:${target.variantId || target.productId}`;
+
+const describeLine = (line) => (line.variantName ? `${line.name} (${line.variantName})` : line.name);
+
+// Always lock stock rows in the same order so concurrent orders can't deadlock
+const sortForLocking = (lines) => [...lines].sort(
+  (a, b) => (a.productId - b.productId) || ((a.variantId || 0) - (b.variantId || 0))
+);
+
+// Reject priced cart lines that ask for more than is in stock
+export const checkStock = async (lines) => {
+  const wanted = new Map();
+
+  for (const line of lines) {
+    const target = await findStockTarget({ query }, line);
+    if (!target) continue;
+
+    const key = targetKey(target);
+    const entry = wanted.get(key) || { target, quantity: 0, line };
+    entry.quantity += line.quantity;
+    wanted.set(key, entry);
+  }
+
+  for (const { target, quantity, line } of wanted.values()) {
+    const available = Math.max(target.stock, 0);
+
+    if (available === 0) {
+      throw new AppError(`${describeLine(line)} is sold out`, 400);
+    }
+    if (quantity > available) {
+      throw new AppError(`Only ${available} of ${describeLine(line)} left in stock`, 400);
+    }
+  }
+};
+
+// Apply a stock change to a target and write it to the ledger
+const moveStock = async (client, target, change, { reason, orderId = null, orderItemId = null, note = null, userId = null }) => {
+  const column = target.table === 'product_variants' ? 'variant_id' : 'product_id';
+  const id = target.table === 'product_variants' ? target.variantId : target.productId;
+
+  const result = await client.query(
+    `UPDATE ${target.table} SET stock_quantity = stock_quantity + $1
+     WHERE id = $2 AND stock_quantity IS NOT NULL
+     RETURNING stock_quantity`,
+    [change, id]
+  );
+
+  // Tracking was switched off for this item since it was sold
+  if (result.rows.length === 0) return null;
+
+  const stockAfter = result.rows[0].stock_quantity;
+
+  await client.query(
+    `INSERT INTO inventory_movements (product_id, variant_id, order_id, order_item_id, quantity_change, stock_after, reason, note, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [target.productId, column === 'variant_id' ? id : null, orderId, orderItemId, change, stockAfter, reason, note, userId]
+  );
+
+  return stockAfter;
+};
+
+// Take stock for an order's items (lines with orderItemId). Call inside the
+// transaction that creates the order items.
+// strict: reject when stock is short. Paid checkouts aren't strict - the
+// customer has already been charged, so stock is allowed to go negative.
+export const deductStock = async (client, orderId, items, { strict = false } = {}) => {
+  for (const item of sortForLocking(items)) {
+    const target = await findStockTarget(client, item, { lock: true });
+    if (!target) continue;
+
+    if (strict && item.quantity > target.stock) {
+      throw new AppError(
+        target.stock > 0
+          ? `Only ${target.stock} of ${describeLine(item)} left in stock`
+          : `${describeLine(item)} is sold out`,
+        400
+      );
+    }
+
+    const stockAfter = await moveStock(client, target, -item.quantity, {
+      reason: 'sale',
+      orderId,
+      orderItemId: item.orderItemId,
+    });
+
+    if (stockAfter !== null && stockAfter < 0) {
+      console.warn(`Oversold ${describeLine(item)} on order ${orderId}: stock is now ${stockAfter}`);
+    }
+  }
+};
+
+// Take stock for a confirmed order's items. Safe to call more than once -
+// items that already had their stock taken are skipped. Call inside a transaction.
+export const deductStockForOrder = async (client, orderId, options = {}) => {
+  const result = await client.query(
+    `SELECT id, product_id, variant_id, product_name, variant_name, quantity
+     FROM order_items oi
+     WHERE order_id = $1
+     AND product_id IS NOT NULL
+     AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.order_item_id = oi.id AND m.reason = 'sale')`,
+    [orderId]
+  );
+  const items = result.rows.map(row => ({
+    orderItemId: row.id,
+    productId: row.product_id,
+    variantId: row.variant_id,
+    name: row.product_name,
+    variantName: row.variant_name,
+    quantity: row.quantity,
+  }));
+
+  await deductStock(client, orderId, items, options);
+};
+
+// Put sold items back in stock. Each order item can only be restocked up to
+// what was taken for it, so a refund followed by a cancellation (or a replayed
+// webhook) never counts the same units twice.
+// items: [{ orderItemId, quantity }] - quantity defaults to everything still out
+export const restockOrderItems = async (client, orderId, items, { reason, userId = null } = {}) => {
+  const result = await client.query(
+    `SELECT order_item_id, product_id, variant_id,
+            -SUM(quantity_change) FILTER (WHERE reason = 'sale') as sold,
+            COALESCE(SUM(quantity_change) FILTER (WHERE reason = ANY($2)), 0) as restocked
+     FROM inventory_movements
+     WHERE order_id = $1 AND order_item_id IS NOT NULL
+     GROUP BY order_item_id, product_id, variant_id
+     HAVING SUM(quantity_change) FILTER (WHERE reason = 'sale') IS NOT NULL`,
+    [orderId, RESTOCK_REASONS]
+  );
+
+  const sales = new Map(result.rows.map(row => [row.order_item_id, row]));
+  const requested = items || [...sales.keys()].map(orderItemId => ({ orderItemId }));
+
+  for (const item of requested) {
+    const sale = sales.get(item.orderItemId);
+    if (!sale) continue;
+
+    const outstanding = parseInt(sale.sold) - parseInt(sale.restocked);
+    const quantity = Math.min(item.quantity ?? outstanding, outstanding);
+    if (quantity <= 0) continue;
+
+    const target = sale.variant_id
+      ? { table: 'product_variants', productId: sale.product_id, variantId: sale.variant_id }
+      : { table: 'products', productId: sale.product_id, variantId: null };
+
+    await moveStock(client, target, quantity, {
+      reason,
+      orderId,
+      orderItemId: item.orderItemId,
+      userId,
+    });
+  }
+};
+
+// Restock everything still outstanding on a cancelled order
+export const restockOrder = async (client, orderId, options = {}) => {
+  await restockOrderItems(client, orderId, null, { reason: 'cancellation', ...options });
+};
+
+// Set stock for a product or variant. Pass quantity for an absolute count or
+// change for a relative adjustment; null quantity stops tracking.
+export const adjustStock = async ({ productId, variantId = null, quantity, change, dailyPar, note, userId }) => {
+  const table = variantId ? 'product_variants' : 'products';
+  const id = variantId || productId;
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT stock_quantity, daily_par FROM ${table} WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    if (existing.rows.length === 0) {
+      throw new AppError(variantId ? 'Variant not found' : 'Product not found', 404);
+    }
+
+    const current = existing.rows[0].stock_quantity;
+    let newQuantity = current;
+
+    if (quantity !== undefined) {
+      if (quantity !== null && !(Number.isInteger(quantity) && quantity >= 0)) {
+        throw new AppError('Quantity must be a whole number of at least 0, or null to stop tracking stock', 400);
+      }
+      newQuantity = quantity;
+    } else if (change !== undefined) {
+      if (!Number.isInteger(change)) {
+        throw new AppError('Change must be a whole number', 400);
+      }
+      if (current === null) {
+        throw new AppError('Stock is not tracked for this item. Set a quantity first.', 400);
+      }
+      newQuantity = current + change;
+    }
+
+    if (dailyPar !== undefined && dailyPar !== null && !(Number.isInteger(dailyPar) && dailyPar >= 0)) {
+      throw new AppError('Daily par must be a whole number of at least 0', 400);
+    }
+
+    const result = await client.query(
+      `UPDATE ${table} SET stock_quantity = $1, daily_par = $2 WHERE id = $3 RETURNING *`,
+      [newQuantity, dailyPar !== undefined ? dailyPar : existing.rows[0].daily_par, id]
+    );
+
+    if (newQuantity !== null && newQuantity !== current) {
+      await client.query(
+        `INSERT INTO inventory_movements (product_id, variant_id, quantity_change, stock_after, reason, note, created_by)
+         VALUES ($1, $2, $3, $4, 'adjustment', $5, $6)`,
+        [productId, variantId, newQuantity - (current || 0), newQuantity, note || null, userId || null]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Reset every product and variant that has a daily par back to it (start of day)
+export const resetToPar = async ({ userId } = {}) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const products = await client.query(
+      `UPDATE products p SET stock_quantity = p.daily_par
+       FROM (SELECT id, stock_quantity FROM products WHERE daily_par IS NOT NULL FOR UPDATE) old
+       WHERE p.id = old.id
+       RETURNING p.id, old.stock_quantity as previous, p.stock_quantity`
+    );
+    const variants = await client.query(
+      `UPDATE product_variants v SET stock_quantity = v.daily_par
+       FROM (SELECT id, stock_quantity FROM product_variants WHERE daily_par IS NOT NULL FOR UPDATE) old
+       WHERE v.id = old.id
+       RETURNING v.id, v.product_id, old.stock_quantity as previous, v.stock_quantity`
+    );
+
+    for (const row of products.rows) {
+      await client.query(
+        `INSERT INTO inventory_movements (product_id, quantity_change, stock_after, reason, created_by)
+         VALUES ($1, $2, $3, 'par_reset', $4)`,
+        [row.id, row.stock_quantity - (row.previous || 0), row.stock_quantity, userId || null]
+      );
+    }
+    for (const row of variants.rows) {
+      await client.query(
+        `INSERT INTO inventory_movements (product_id, variant_id, quantity_change, stock_after, reason, created_by)
+         VALUES ($1, $2, $3, $4, 'par_reset', $5)`,
+        [row.product_id, row.id, row.stock_quantity - (row.previous || 0), row.stock_quantity, userId || null]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return { products: products.rows.length, variants: variants.rows.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default {
+  SOLD_OUT_SQL,
+  checkStock,
+  deductStock,
+  deductStockForOrder,
+  restockOrderItems,
+  restockOrder,
+  adjustStock,
+  resetToPar,
+};
@@ -0,0 +1,212 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toCents } from './money.js';
+
+export const MODIFIER_TYPES = ['single', 'multi', 'text'];
+
+const toOptionalInt = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+
+// Form posts send booleans as 'true'/'false', so anything else is rejected
+// rather than read as truthy
+const toBoolean = (value, field) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw new AppError(`${field} must be true or false`, 400);
+};
+
+// Validate a modifier group from the request body. Fields missing from the
+// body fall back to `current` (the saved row when updating). Returns column values.
+export const validateModifierGroup = (body, current = {}) => {
+  const group = {
+    name: body.name ?? current.name,
+    type: body.type ?? current.type ?? 'single',
+    required: toBoolean(body.required ?? current.required ?? false, 'required'),
+    minSelections: toOptionalInt(body.min_selections ?? current.min_selections) || 0,
+    maxSelections: toOptionalInt(body.max_selections !== undefined ? body.max_selections : current.max_selections),
+    maxLength: toOptionalInt(body.max_length !== undefined ? body.max_length : current.max_length),
+    priceDelta: parseFloat(body.price_delta ?? current.price_delta ?? 0),
+    active: toBoolean(body.active ?? current.active ?? true, 'active'),
+    displayOrder: toOptionalInt(body.display_order ?? current.display_order) || 0,
+  };
+
+  if (!group.name) {
+    throw new AppError('Modifier group name is required', 400);
+  }
+  if (!MODIFIER_TYPES.includes(group.type)) {
+    throw new AppError(`Modifier type must be one of: ${MODIFIER_TYPES.join(', ')}`, 400);
+  }
+  if (Number.isNaN(group.priceDelta)) {
+    throw new AppError('price_delta must be a number', 400);
+  }
+
+  if (group.type === 'text') {
+    if (!(group.maxLength > 0)) {
+      throw new AppError('Text modifiers need a max_length greater than 0', 400);
+    }
+  } else {
+    group.maxLength = null;
+    group.priceDelta = 0; // Choice groups are priced per option
+  }
+
+  if (group.type === 'multi') {
+    if (group.minSelections < 0 || (group.maxSelections !== null && group.maxSelections < Math.max(group.minSelections, 1))) {
+      throw new AppError('max_selections must be at least 1 and no less than min_selections', 400);
+    }
+  } else {
+    group.minSelections = 0;
+    group.maxSelections = null;
+  }
+
+  return group;
+};
+
+// Validate a modifier option from the request body
+export const validateModifierOption = (body, current = {}) => {
+  const option = {
+    name: body.name ?? current.name,
+    priceDelta: parseFloat(body.price_delta ?? current.price_delta ?? 0),
+    active: toBoolean(body.active ?? current.active ?? true, 'active'),
+    displayOrder: toOptionalInt(body.display_order ?? current.display_order) || 0,
+  };
+
+  if (!option.name) {
+    throw new AppError('Option name is required', 400);
+  }
+  if (Number.isNaN(option.priceDelta)) {
+    throw new AppError('price_delta must be a number', 400);
+  }
+
+  return option;
+};
+
+// Modifier groups (with their options) for the given products, keyed by product id
+export const getModifierGroups = async (productIds, { includeInactive = false } = {}) => {
+  const result = await query(
+    `SELECT g.*,
+            COALESCE(json_agg(o ORDER BY o.display_order, o.id)
+              FILTER (WHERE o.id IS NOT NULL AND ($2 OR o.active)), '[]') as options
+     FROM modifier_groups g
+     LEFT JOIN modifier_options o ON o.group_id = g.id
+     WHERE g.product_id = ANY($1) AND ($2 OR g.active)
+     GROUP BY g.id
+     ORDER BY g.display_order, g.id`,
+    [productIds, includeInactive]
+  );
+
+  const byProduct = new Map();
+  for (const group of result.rows) {
+    if (!byProduct.has(group.product_id)) {
+      byProduct.set(group.product_id, []);
+    }
+    byProduct.get(group.product_id).push(group);
+  }
+
+  return byProduct;
+};
+
+// Check a cart item's modifier selections against the product's active groups.
+// Selections look like { groupId, optionIds: [..] } or { groupId, text }.
+// Returns the chosen modifiers, priced from the database, and the unit price change.
+export const applyModifiers = (productName, groups = [], selections = []) => {
+  if (!Array.isArray(selections)) {
+    throw new AppError(`Invalid options for ${productName}`, 400);
+  }
+
+  const byGroup = new Map();
+  for (const selection of selections) {
+    const groupId = parseInt(selection.groupId ?? selection.group_id);
+    const group = groups.find(g => g.id === groupId);
+
+    if (!group) {
+      throw new AppError(`That option is not available for ${productName}`, 400);
+    }
+    if (byGroup.has(groupId)) {
+      throw new AppError(`${group.name} was chosen more than once for ${productName}`, 400);
+    }
+    byGroup.set(groupId, selection);
+  }
+
+  const modifiers = [];
+
+  for (const group of groups) {
+    const selection = byGroup.get(group.id);
+
+    if (group.type === 'text') {
+      const text = typeof selection?.text === 'string' ? selection.text.trim() : '';
+
+      if (!text) {
+        if (group.required) {
+          throw new AppError(`${group.name} is required for ${productName}`, 400);
+        }
+        continue;
+      }
+      if (text.length > group.max_length) {
+        throw new AppError(`${group.name} can be at most ${group.max_length} characters`, 400);
+      }
+
+      modifiers.push({
+        groupId: group.id,
+        optionId: null,
+        groupName: group.name,
+        optionName: null,
+        text,
+        priceDeltaCents: toCents(group.price_delta || 0),
+      });
+      continue;
+    }
+
+    const rawIds = selection?.optionIds ?? selection?.option_ids
+      ?? (selection?.optionId ?? selection?.option_id ? [selection.optionId ?? selection.option_id] : []);
+    const optionIds = [...new Set((Array.isArray(rawIds) ? rawIds : [rawIds]).map(id => parseInt(id)))];
+
+    if (optionIds.length === 0 && group.required) {
+      throw new AppError(`Please choose ${group.name} for ${productName}`, 400);
+    }
+    if (group.type === 'single' && optionIds.length > 1) {
+      throw new AppError(`Only one ${group.name} can be chosen for ${productName}`, 400);
+    }
+    if (group.type === 'multi' && optionIds.length > 0) {
+      if (optionIds.length < group.min_selections) {
+        throw new AppError(`Choose at least ${group.min_selections} ${group.name} for ${productName}`, 400);
+      }
+      if (group.max_selections !== null && optionIds.length > group.max_selections) {
+        throw new AppError(`Choose at most ${group.max_selections} ${group.name} for ${productName}`, 400);
+      }
+    }
+
+    for (const optionId of optionIds) {
+      const option = group.options.find(o => o.id === optionId);
+      if (!option) {
+        throw new AppError(`That ${group.name} option is not available for ${productName}`, 400);
+      }
+
+      modifiers.push({
+        groupId: group.id,
+        optionId: option.id,
+        groupName: group.name,
+        optionName: option.name,
+        text: null,
+        priceDeltaCents: toCents(option.price_delta || 0),
+      });
+    }
+  }
+
+  return {
+    modifiers,
+    deltaCents: modifiers.reduce((sum, modifier) => sum + modifier.priceDeltaCents, 0),
+  };
+};
+
+// One-line summary of chosen modifiers, e.g. for the Stripe line item
+export const describeModifiers = (modifiers = []) => modifiers
+  .map(m => (m.text ? `${m.groupName}: "${m.text}"` : `${m.groupName}: ${m.optionName}`))
+  .join(', ');
+
+export default {
+  MODIFIER_TYPES,
+  validateModifierGroup,
+  validateModifierOption,
+  getModifierGroups,
+  applyModifiers,
+  describeModifiers,
+};
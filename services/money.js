@@ -0,0 +1,29 @@
+// Money is handled in integer cents internally and dollars at the API edge
+
+// Convert a dollar amount (number or DECIMAL string) to integer cents
+export const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+// Convert integer cents back to dollars
+export const toDollars = (cents) => cents / 100;
+
+// Split an amount of cents across weights (e.g. line totals) in proportion.
+// The parts always add back up to the amount; leftover cents go to the
+// largest remainders.
+export const allocateCents = (amountCents, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (amountCents <= 0 || totalWeight <= 0) return weights.map(() => 0);
+
+  const exact = weights.map(weight => (amountCents * weight) / totalWeight);
+  const parts = exact.map(Math.floor);
+  const leftover = amountCents - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ remainder: value - parts[index], index }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .slice(0, leftover)
+    .forEach(({ index }) => { parts[index]++; });
+
+  return parts;
+};
+
+export default { toCents, toDollars, allocateCents };
@@ -0,0 +1,92 @@
+import { AppError } from '../middleware/errorHandler.js';
+import { deductStockForOrder, restockOrder } from './inventory.js';
+import { deductIngredientsForOrder, returnIngredientsForOrder } from './recipes.js';
+import { recordRedemption, voidRedemption } from './redemptions.js';
+
+export const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'completed', 'cancelled'];
+
+// Allowed status changes. Orders move forward one step at a time and can only
+// be cancelled before they have been handed to the customer.
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+export const canTransition = (fromStatus, toStatus) => {
+  return (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+// Write a row to order_status_history
+export const recordStatusChange = async (client, orderId, fromStatus, toStatus, { changedBy = null, source = 'admin', reason = null } = {}) => {
+  await client.query(
+    `INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, source, reason)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [orderId, fromStatus, toStatus, changedBy, source, reason]
+  );
+};
+
+// Move an order to a new status if the transition graph allows it, and record
+// who did it. Cancelling restocks the order's items unless options.restock is false.
+// Confirming takes the order's stock (rejecting it if there isn't enough) and
+// its recipe ingredients; cancelling before preparation has started gives the
+// ingredients back.
+// Confirming records the order's promo code use; cancelling gives it back.
+// Call inside a transaction - the order row is locked until commit.
+export const transitionOrderStatus = async (client, orderId, toStatus, options = {}) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new AppError(`Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`, 400);
+  }
+
+  const existing = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+  if (existing.rows.length === 0) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const fromStatus = existing.rows[0].status;
+
+  if (fromStatus === toStatus) {
+    throw new AppError(`Order is already ${toStatus}`, 400);
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    const allowed = ORDER_STATUS_TRANSITIONS[fromStatus] || [];
+    throw new AppError(
+      allowed.length > 0
+        ? `Cannot change order status from ${fromStatus} to ${toStatus}. Allowed: ${allowed.join(', ')}`
+        : `Cannot change order status once it is ${fromStatus}`,
+      400
+    );
+  }
+
+  const result = await client.query(
+    'UPDATE orders SET status = $1 WHERE id = $2 RETURNING *',
+    [toStatus, orderId]
+  );
+
+  await recordStatusChange(client, orderId, fromStatus, toStatus, options);
+
+  // Cancelled orders give back whatever stock they still hold
+  if (toStatus === 'cancelled' && options.restock !== false) {
+    await restockOrder(client, orderId, { userId: options.changedBy });
+  }
+
+  if (toStatus === 'confirmed') {
+    await deductStockForOrder(client, orderId, { strict: true });
+    await deductIngredientsForOrder(client, orderId);
+    await recordRedemption(client, orderId);
+  } else if (toStatus === 'cancelled' && fromStatus === 'confirmed') {
+    await returnIngredientsForOrder(client, orderId, { userId: options.changedBy });
+  }
+
+  if (toStatus === 'cancelled') {
+    await voidRedemption(client, orderId, options.reason || 'Order cancelled');
+  }
+
+  return result.rows[0];
+};
+
+export default { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, canTransition, recordStatusChange, transitionOrderStatus };
@@ -0,0 +1,132 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getSetting } from './settings.js';
+import { isValidDate, isValidTime, localToday, addDays, getHoursForDate } from './hours.js';
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// '07:30' -> 450
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// 450 -> '07:30'
+const formatMinutes = (minutes) => {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Pickup times are bakery-local, the same way order pickup_time is parsed
+const toLocalDate = (date, minutes = 0) => new Date(`${date}T${formatMinutes(minutes)}`);
+
+// Validate the `pickup` setting before it is saved
+export const validatePickupSettings = (value) => {
+  if (!value || typeof value !== 'object') {
+    throw new AppError('Pickup settings must be an object', 400);
+  }
+
+  for (const key of ['slot_minutes', 'capacity_per_slot', 'max_days_ahead']) {
+    if (value[key] !== undefined && !isPositiveInteger(value[key])) {
+      throw new AppError(`${key} must be a whole number greater than 0`, 400);
+    }
+  }
+
+  if (value.lead_time_minutes !== undefined && !(Number.isInteger(value.lead_time_minutes) && value.lead_time_minutes >= 0)) {
+    throw new AppError('lead_time_minutes must be a whole number of minutes', 400);
+  }
+
+  if (value.slot_minutes !== undefined && 1440 % value.slot_minutes !== 0) {
+    throw new AppError('slot_minutes must divide evenly into a day (e.g. 10, 15, 30, 60)', 400);
+  }
+};
+
+// Pickup slots for a date with how many orders each can still take.
+// A slot is unavailable once it is full or falls inside the prep lead time.
+// Checkouts still being paid for hold their slot, so they count as booked.
+export const getPickupSlots = async (date, { now = new Date(), db = { query } } = {}) => {
+  if (!isValidDate(date)) {
+    throw new AppError('Date must be in YYYY-MM-DD format', 400);
+  }
+
+  const settings = await getSetting('pickup');
+  const day = await getHoursForDate(date);
+  const today = localToday(now);
+  const hours = day.closed ? null : { open: day.open, close: day.close };
+
+  if (!hours || date < today || date > addDays(today, settings.max_days_ahead)) {
+    return { date, open: false, hours, message: day.message, slots: [] };
+  }
+
+  const slotMinutes = settings.slot_minutes;
+  const earliest = new Date(now.getTime() + settings.lead_time_minutes * 60000);
+
+  // Count live pickup orders in each slot (cancelled orders free their slot),
+  // plus unexpired checkouts that haven't become orders yet
+  const booked = await db.query(
+    `SELECT pickup_time, COUNT(*) as count
+     FROM (
+       SELECT pickup_time FROM orders
+       WHERE fulfillment_type = 'pickup'
+       AND status != 'cancelled'
+       AND pickup_time >= $1 AND pickup_time < $2
+       UNION ALL
+       SELECT cs.pickup_time FROM checkout_sessions cs
+       WHERE cs.pickup_time >= $1 AND cs.pickup_time < $2
+       AND cs.expires_at > NOW()
+       AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.stripe_session_id = cs.stripe_session_id)
+     ) bookings
+     GROUP BY pickup_time`,
+    [toLocalDate(date), toLocalDate(date, toMinutes(hours.close))]
+  );
+
+  const bookedBySlot = new Map();
+  for (const row of booked.rows) {
+    const pickup = new Date(row.pickup_time);
+    const minutes = pickup.getHours() * 60 + pickup.getMinutes();
+    const slot = minutes - (minutes % slotMinutes);
+    bookedBySlot.set(slot, (bookedBySlot.get(slot) || 0) + parseInt(row.count));
+  }
+
+  const slots = [];
+  for (let start = toMinutes(hours.open); start + slotMinutes <= toMinutes(hours.close); start += slotMinutes) {
+    const remaining = Math.max(settings.capacity_per_slot - (bookedBySlot.get(start) || 0), 0);
+
+    slots.push({
+      time: formatMinutes(start),
+      remaining,
+      available: remaining > 0 && toLocalDate(date, start) >= earliest,
+    });
+  }
+
+  return { date, open: true, hours, message: day.message, slots };
+};
+
+// Reject a pickup date/time that isn't an open slot right now
+export const requirePickupSlot = async (date, time, { db = { query } } = {}) => {
+  if (!date || !time) {
+    throw new AppError('Pickup date and time are required', 400);
+  }
+  if (!isValidTime(time)) {
+    throw new AppError('Pickup time must be in HH:MM format', 400);
+  }
+
+  const { open, message, slots } = await getPickupSlots(date, { db });
+
+  if (!open) {
+    throw new AppError(message ? `Pickup is not available on that date: ${message}` : 'Pickup is not available on that date', 400);
+  }
+
+  const slot = slots.find(s => s.time === time);
+
+  if (!slot) {
+    throw new AppError('Pickup time must be one of the available pickup slots', 400);
+  }
+  if (!slot.available) {
+    throw new AppError(`The ${time} pickup slot is no longer available. Please choose another time.`, 400);
+  }
+
+  return slot;
+};
+
+export default { validatePickupSettings, getPickupSlots, requirePickupSlot };
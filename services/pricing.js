@@ -0,0 +1,263 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toCents, toDollars } from './money.js';
+import { calculateTax } from './tax.js';
+import { requireDelivery } from './delivery.js';
+import { getModifierGroups, applyModifiers } from './modifiers.js';
+import { requireCustomerAllowance } from './redemptions.js';
+import { chooseDiscounts, findAutoSpecials } from './discounts.js';
+
+// Most of one item a single order can have
+export const MAX_ITEM_QUANTITY = 999;
+
+// Price cart items from the products table.
+// Only the product id, variant id, modifier selections and quantity are taken from
+// the client - names and prices always come from the database, and inactive
+// products are rejected. Products with active variants must be bought as one of
+// them, at the variant's price; chosen modifiers add their price deltas.
+export const priceItems = async (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('No items in cart', 400);
+  }
+
+  const requested = items.map((item) => {
+    const variantId = item.variantId ?? item.variant_id;
+
+    return {
+      productId: parseInt(item.id ?? item.product_id ?? item.productId),
+      variantId: variantId !== undefined && variantId !== null ? parseInt(variantId) : null,
+      modifiers: item.modifiers || [],
+      quantity: parseInt(item.quantity),
+    };
+  });
+
+  for (const item of requested) {
+    if (!Number.isInteger(item.productId)) {
+      throw new AppError('Each cart item must reference a product', 400);
+    }
+    if (item.variantId !== null && !Number.isInteger(item.variantId)) {
+      throw new AppError('Invalid variant', 400);
+    }
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_ITEM_QUANTITY) {
+      throw new AppError(`Item quantities must be whole numbers from 1 to ${MAX_ITEM_QUANTITY}`, 400);
+    }
+  }
+
+  const productIds = [...new Set(requested.map(item => item.productId))];
+  const result = await query(
+    'SELECT id, name, price, images, category_id, active FROM products WHERE id = ANY($1)',
+    [productIds]
+  );
+  const products = new Map(result.rows.map(product => [product.id, product]));
+
+  const variantResult = await query(
+    'SELECT id, product_id, name, price, sku, active FROM product_variants WHERE product_id = ANY($1)',
+    [productIds]
+  );
+  const variants = new Map(variantResult.rows.map(variant => [variant.id, variant]));
+  const modifierGroups = await getModifierGroups(productIds);
+
+  return requested.map((item) => {
+    const product = products.get(item.productId);
+
+    if (!product) {
+      throw new AppError(`Product ${item.productId} not found`, 400);
+    }
+    if (!product.active) {
+      throw new AppError(`${product.name} is no longer available`, 400);
+    }
+
+    let variant = null;
+    if (item.variantId !== null) {
+      variant = variants.get(item.variantId);
+
+      if (!variant || variant.product_id !== product.id) {
+        throw new AppError(`That option is not available for ${product.name}`, 400);
+      }
+      if (!variant.active) {
+        throw new AppError(`${product.name} (${variant.name}) is no longer available`, 400);
+      }
+    } else if (variantResult.rows.some(v => v.product_id === product.id && v.active)) {
+      throw new AppError(`Please choose an option for ${product.name}`, 400);
+    }
+
+    const { modifiers, deltaCents } = applyModifiers(
+      product.name,
+      modifierGroups.get(product.id),
+      item.modifiers
+    );
+    const unitPriceCents = Math.max(toCents(variant ? variant.price : product.price) + deltaCents, 0);
+
+    return {
+      productId: product.id,
+      variantId: variant?.id || null,
+      categoryId: product.category_id,
+      name: product.name,
+      variantName: variant?.name || null,
+      sku: variant?.sku || null,
+      modifiers,
+      image: product.images?.[0] || null,
+      quantity: item.quantity,
+      unitPriceCents,
+      lineTotalCents: unitPriceCents * item.quantity,
+    };
+  });
+};
+
+// Look up an active promo code that still has uses left. Generated
+// single-use codes resolve to their special while they are unused and not
+// voided; the special comes back with the generated code as its code and
+// promo_code_id set.
+export const findPromoSpecial = async (code) => {
+  const result = await query(
+    `SELECT * FROM specials
+     WHERE code = $1
+     AND active = true
+     AND start_date <= NOW()
+     AND end_date >= NOW()
+     AND (max_uses IS NULL OR used_count < max_uses)`,
+    [code.toUpperCase()]
+  );
+
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  const generated = await query(
+    `SELECT s.*, pc.id as promo_code_id, pc.code as promo_code
+     FROM promo_codes pc
+     JOIN specials s ON pc.special_id = s.id
+     WHERE pc.code = $1
+     AND pc.voided_at IS NULL
+     AND NOT EXISTS (
+       SELECT 1 FROM special_redemptions r WHERE r.promo_code_id = pc.id AND r.voided_at IS NULL
+     )
+     AND s.active = true
+     AND s.start_date <= NOW()
+     AND s.end_date >= NOW()
+     AND (s.max_uses IS NULL OR s.used_count < s.max_uses)`,
+    [code.toUpperCase()]
+  );
+
+  if (generated.rows.length === 0) {
+    return null;
+  }
+
+  const { promo_code: promoCode, ...special } = generated.rows[0];
+  return { ...special, code: promoCode };
+};
+
+// Build the authoritative priced cart used to create a Stripe session.
+// customer is the signed-in customer, if any (only they can be tax exempt).
+// customerEmail is the guest's email, used for per-customer promo code limits
+// when nobody is signed in.
+export const priceCart = async ({ items, promoCode, orderType, zipCode, latitude, longitude, customerEmail, customer = null, selectedFreeItems }) => {
+  let lines = await priceItems(items);
+  const subtotalCents = lines.reduce((sum, line) => sum + line.lineTotalCents, 0);
+
+  let codeSpecial = null;
+  if (promoCode) {
+    codeSpecial = await findPromoSpecial(promoCode);
+    if (!codeSpecial) {
+      throw new AppError('Invalid or expired promo code', 400);
+    }
+    await requireCustomerAllowance(codeSpecial, customer
+      ? { customerId: customer.id, email: customer.email }
+      : { email: customerEmail });
+  }
+
+  // Automatic specials and the promo code, combined under their stacking
+  // rules. Each line carries its share of the discount.
+  const discounted = await chooseDiscounts(lines, {
+    autoSpecials: await findAutoSpecials(),
+    codeSpecial,
+    selectedFreeItems: selectedFreeItems || [],
+  });
+  lines = discounted.lines;
+  const { discountCents } = discounted;
+
+  const promo = codeSpecial && {
+    specialId: codeSpecial.id,
+    code: codeSpecial.code,
+    name: codeSpecial.name,
+    type: codeSpecial.type,
+    discountCents: discounted.applied.find(entry => entry.special === codeSpecial)?.discountCents || 0,
+    promoCodeId: codeSpecial.promo_code_id || null,
+  };
+  const specials = discounted.applied.map(({ special, discountCents: specialDiscountCents }) => ({
+    specialId: special.id,
+    name: special.name,
+    type: special.type,
+    code: special.code,
+    autoApplied: special.auto_apply === true,
+    discountCents: specialDiscountCents,
+  }));
+
+  // Tax is charged on each line after its discount
+  const { taxCents, lineTaxCents, ...tax } = await calculateTax({
+    lines,
+    orderType,
+    zipCode,
+    customer,
+  });
+
+  // Delivery orders must fall inside a delivery zone; its fee and minimums apply
+  let delivery = null;
+  if (orderType === 'delivery') {
+    delivery = await requireDelivery({
+      zipCode,
+      latitude,
+      longitude,
+      amountCents: subtotalCents - discountCents,
+    });
+  }
+  const deliveryFeeCents = delivery ? delivery.feeCents : 0;
+
+  return {
+    lines: lines.map((line, index) => ({ ...line, discountCents: line.discountCents || 0, taxCents: lineTaxCents[index] })),
+    promo,
+    specials,
+    subtotalCents,
+    discountCents,
+    tax,
+    taxCents,
+    delivery,
+    deliveryFeeCents,
+    totalCents: subtotalCents - discountCents + taxCents + deliveryFeeCents,
+  };
+};
+
+// Shape a priced cart for API responses (amounts in dollars)
+export const formatCart = (cart) => ({
+  items: cart.lines.map(line => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    name: line.name,
+    variantName: line.variantName,
+    modifiers: line.modifiers.map(modifier => ({
+      group: modifier.groupName,
+      option: modifier.optionName,
+      text: modifier.text,
+      priceDelta: toDollars(modifier.priceDeltaCents),
+    })),
+    image: line.image,
+    quantity: line.quantity,
+    unitPrice: toDollars(line.unitPriceCents),
+    lineTotal: toDollars(line.lineTotalCents),
+    discount: toDollars(line.discountCents),
+    tax: toDollars(line.taxCents),
+  })),
+  promo: cart.promo,
+  specials: cart.specials.map(({ discountCents, ...special }) => ({ ...special, discount: toDollars(discountCents) })),
+  subtotal: toDollars(cart.subtotalCents),
+  discount: toDollars(cart.discountCents),
+  taxRate: cart.tax.rate,
+  taxLabel: cart.tax.label,
+  taxExempt: cart.tax.exempt,
+  tax: toDollars(cart.taxCents),
+  deliveryZone: cart.delivery?.zone || null,
+  deliveryFee: toDollars(cart.deliveryFeeCents),
+  total: toDollars(cart.totalCents),
+});
+
+export default { MAX_ITEM_QUANTITY, priceItems, findPromoSpecial, priceCart, formatCart };
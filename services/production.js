@@ -0,0 +1,231 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isValidDate, addDays } from './hours.js';
+import { ACTIVE_REFUND_STATUSES } from './refunds.js';
+import { calculateIngredientNeeds } from './recipes.js';
+
+// When an order is due: its pickup or delivery time, or when it was placed
+// for orders without one
+const DUE_AT_SQL = 'COALESCE(o.pickup_time, o.delivery_time, o.created_at)';
+
+// 'HH:MM' in bakery-local time
+const formatTime = (date) => {
+  const d = new Date(date);
+  return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+};
+
+// Everything that has to be made for orders due on a date, grouped by product
+// and variant, with the ingredients it takes. Cancelled orders and refunded
+// items are left out.
+export const getPrepList = async (date) => {
+  if (!isValidDate(date)) {
+    throw new AppError('Date must be in YYYY-MM-DD format', 400);
+  }
+
+  const result = await query(
+    `SELECT oi.id, oi.product_id, oi.variant_id, oi.product_name, oi.variant_name,
+            oi.quantity - COALESCE((
+              SELECT SUM(ri.quantity)
+              FROM refund_items ri
+              JOIN refunds r ON r.id = ri.refund_id
+              WHERE ri.order_item_id = oi.id AND r.status = ANY($3)
+            ), 0) as quantity,
+            o.order_number, o.fulfillment_type, ${DUE_AT_SQL} as due_at,
+            COALESCE(json_agg(json_build_object(
+              'group', m.group_name,
+              'option', m.option_name,
+              'text', m.text_value
+            ) ORDER BY m.id) FILTER (WHERE m.id IS NOT NULL), '[]') as modifiers
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     LEFT JOIN order_item_modifiers m ON m.order_item_id = oi.id
+     WHERE o.status != 'cancelled'
+     AND ${DUE_AT_SQL} >= $1 AND ${DUE_AT_SQL} < $2
+     GROUP BY oi.id, o.id
+     ORDER BY due_at ASC, oi.id ASC`,
+    [new Date(`${date}T00:00`), new Date(`${addDays(date, 1)}T00:00`), ACTIVE_REFUND_STATUSES]
+  );
+
+  const products = new Map();
+  const orderNumbers = new Set();
+
+  for (const row of result.rows) {
+    const quantity = parseInt(row.quantity);
+    if (quantity <= 0) continue;
+
+    orderNumbers.add(row.order_number);
+
+    const key = `${row.product_id || row.product_name}:${row.variant_id || row.variant_name || ''}`;
+    if (!products.has(key)) {
+      products.set(key, {
+        productId: row.product_id,
+        variantId: row.variant_id,
+        productName: row.product_name,
+        variantName: row.variant_name,
+        quantity: 0,
+        orderNumbers: new Set(),
+        earliestDue: row.due_at,
+        options: new Map(),
+        inscriptions: [],
+      });
+    }
+
+    const entry = products.get(key);
+    entry.quantity += quantity;
+    entry.orderNumbers.add(row.order_number);
+
+    // Items with the same choices are made together; free text is written per order
+    const choices = row.modifiers.filter(m => !m.text).map(m => `${m.group}: ${m.option}`).join(', ');
+    const optionsLabel = choices || 'No options';
+    entry.options.set(optionsLabel, (entry.options.get(optionsLabel) || 0) + quantity);
+
+    for (const modifier of row.modifiers.filter(m => m.text)) {
+      entry.inscriptions.push({
+        label: modifier.group,
+        text: modifier.text,
+        quantity,
+        options: choices || null,
+        orderNumber: row.order_number,
+        fulfillmentType: row.fulfillment_type,
+        dueAt: row.due_at,
+      });
+    }
+  }
+
+  const items = [...products.values()]
+    .map(entry => ({
+      productId: entry.productId,
+      variantId: entry.variantId,
+      productName: entry.productName,
+      variantName: entry.variantName,
+      quantity: entry.quantity,
+      orderCount: entry.orderNumbers.size,
+      earliestDue: entry.earliestDue,
+      breakdown: [...entry.options].map(([options, quantity]) => ({ options, quantity })),
+      inscriptions: entry.inscriptions,
+    }))
+    .sort((a, b) => new Date(a.earliestDue) - new Date(b.earliestDue) || a.productName.localeCompare(b.productName));
+
+  const needs = await calculateIngredientNeeds(items);
+  const ingredients = [...needs.values()]
+    .map(need => ({
+      ingredientId: need.ingredientId,
+      name: need.name,
+      unit: need.unit,
+      quantity: need.quantity,
+      onHand: need.onHand,
+      shortfall: Math.max(Math.round((need.quantity - need.onHand) * 1000) / 1000, 0),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    date,
+    orderCount: orderNumbers.size,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    items,
+    ingredients,
+  };
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per product/variant and options combination
+export const prepListToCsv = (prepList) => {
+  const rows = [['Product', 'Variant', 'Options', 'Quantity', 'Orders', 'Earliest Due', 'Inscriptions']];
+
+  for (const item of prepList.items) {
+    for (const line of item.breakdown) {
+      const inscriptions = item.inscriptions
+        .filter(i => (i.options || 'No options') === line.options)
+        .map(i => `${i.orderNumber} x${i.quantity}: ${i.label} "${i.text}"`)
+        .join('; ');
+
+      rows.push([
+        item.productName,
+        item.variantName || '',
+        line.options,
+        line.quantity,
+        item.orderCount,
+        formatTime(item.earliestDue),
+        inscriptions,
+      ]);
+    }
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Printable page for the kitchen
+export const prepListToHtml = (prepList, { bakeryName = 'Bakery' } = {}) => {
+  const rows = prepList.items.map(item => `
+      <tr>
+        <td class="qty">${item.quantity}</td>
+        <td>
+          <strong>${escapeHtml(item.productName)}</strong>${item.variantName ? ` &middot; ${escapeHtml(item.variantName)}` : ''}
+          ${item.breakdown.length > 1 || item.breakdown[0].options !== 'No options' ? `<ul>${item.breakdown.map(line => `<li>${line.quantity} &times; ${escapeHtml(line.options)}</li>`).join('')}</ul>` : ''}
+          ${item.inscriptions.length > 0 ? `<ul class="inscriptions">${item.inscriptions.map(i => `<li>${escapeHtml(i.orderNumber)} (${formatTime(i.dueAt)}) &times;${i.quantity} &mdash; ${escapeHtml(i.label)}: &ldquo;${escapeHtml(i.text)}&rdquo;</li>`).join('')}</ul>` : ''}
+        </td>
+        <td>${item.orderCount}</td>
+        <td>${formatTime(item.earliestDue)}</td>
+        <td class="check"></td>
+      </tr>`).join('');
+
+  const ingredientRows = prepList.ingredients.map(ingredient => `
+      <tr${ingredient.shortfall > 0 ? ' class="short"' : ''}>
+        <td>${escapeHtml(ingredient.name)}</td>
+        <td>${ingredient.quantity} ${escapeHtml(ingredient.unit)}</td>
+        <td>${ingredient.onHand} ${escapeHtml(ingredient.unit)}</td>
+        <td>${ingredient.shortfall > 0 ? `${ingredient.shortfall} ${escapeHtml(ingredient.unit)}` : ''}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Prep list ${escapeHtml(prepList.date)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 6px 8px; text-align: left; vertical-align: top; }
+    .qty { font-size: 1.4em; font-weight: bold; text-align: center; width: 60px; }
+    .check { width: 40px; }
+    ul { margin: 4px 0 0; padding-left: 18px; }
+    .inscriptions { font-style: italic; }
+    .short { font-weight: bold; }
+    h2 { margin-top: 32px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(bakeryName)} &mdash; Prep list for ${escapeHtml(prepList.date)}</h1>
+  <p>${prepList.itemCount} items across ${prepList.orderCount} orders</p>
+  <table>
+    <thead>
+      <tr><th>Qty</th><th>Item</th><th>Orders</th><th>First due</th><th>Done</th></tr>
+    </thead>
+    <tbody>${rows || '\n      <tr><td colspan="5">Nothing due on this date.</td></tr>'}
+    </tbody>
+  </table>${ingredientRows ? `
+  <h2>Ingredients</h2>
+  <table>
+    <thead>
+      <tr><th>Ingredient</th><th>Needed</th><th>On hand</th><th>Short</th></tr>
+    </thead>
+    <tbody>${ingredientRows}
+    </tbody>
+  </table>` : ''}
+</body>
+</html>
+`;
+};
+
+export default { getPrepList, prepListToCsv, prepListToHtml };
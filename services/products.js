@@ -0,0 +1,16 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Staff see inactive variants and modifier options; customers don't
+export const canSeeInactive = (user) => Boolean(user) && ['admin', 'staff', 'baker'].includes(user.role);
+
+// The product a nested /api/products/:id/... route is for
+export const findProduct = async (productId) => {
+  const result = await query('SELECT id, ingredients FROM products WHERE id::text = $1', [productId]);
+  if (result.rows.length === 0) {
+    throw new AppError('Product not found', 404);
+  }
+  return result.rows[0];
+};
+
+export default { canSeeInactive, findProduct };
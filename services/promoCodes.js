@@ -0,0 +1,198 @@
+import crypto from 'crypto';
+import { query, getClient } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Generated codes leave out 0/O and 1/I so they can be typed from a flyer
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const MAX_CODES_PER_BATCH = 5000;
+export const PROMO_CODE_STATUSES = ['available', 'redeemed', 'voided'];
+
+const randomCode = (prefix, length) => {
+  const bytes = crypto.randomBytes(length);
+  return prefix + Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+// Generate `count` unique single-use codes for a special, all or nothing.
+// Codes are the prefix followed by `length` random characters and never
+// clash with another generated code or a special's own code.
+export const generatePromoCodes = async (specialId, { count, prefix = '', length = 8, batch = null, createdBy = null }) => {
+  const total = Number(count);
+  if (!Number.isInteger(total) || total < 1 || total > MAX_CODES_PER_BATCH) {
+    throw new AppError(`count must be a whole number from 1 to ${MAX_CODES_PER_BATCH}`, 400);
+  }
+
+  const codePrefix = String(prefix || '').trim().toUpperCase();
+  if (!/^[A-Z0-9-]*$/.test(codePrefix)) {
+    throw new AppError('The prefix can only contain letters, numbers and dashes', 400);
+  }
+
+  const randomLength = Number(length);
+  if (!Number.isInteger(randomLength) || randomLength < 6 || randomLength > 20) {
+    throw new AppError('length must be a whole number from 6 to 20', 400);
+  }
+  if (codePrefix.length + randomLength > 50) {
+    throw new AppError('Codes can be at most 50 characters including the prefix', 400);
+  }
+
+  if (batch !== null && batch !== undefined && typeof batch !== 'string') {
+    throw new AppError('batch must be text', 400);
+  }
+  const batchLabel = batch?.trim() || null;
+  if (batchLabel && batchLabel.length > 100) {
+    throw new AppError('batch can be at most 100 characters', 400);
+  }
+
+  const special = await query('SELECT id, auto_apply FROM specials WHERE id = $1', [specialId]);
+  if (special.rows.length === 0) {
+    throw new AppError('Special not found', 404);
+  }
+  if (special.rows[0].auto_apply) {
+    throw new AppError('Automatically applied specials do not use promo codes', 400);
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Random codes rarely collide; any that do are replaced on the next round
+    const created = [];
+    for (let attempt = 0; attempt < 10 && created.length < total; attempt++) {
+      const candidates = new Set();
+      while (candidates.size < total - created.length) {
+        candidates.add(randomCode(codePrefix, randomLength));
+      }
+
+      const result = await client.query(
+        `INSERT INTO promo_codes (special_id, code, batch, created_by)
+         SELECT $1, candidate, $3, $4 FROM unnest($2::text[]) candidate
+         WHERE NOT EXISTS (SELECT 1 FROM specials WHERE UPPER(code) = candidate)
+         ON CONFLICT (code) DO NOTHING
+         RETURNING *`,
+        [specialId, [...candidates], batchLabel, createdBy]
+      );
+      created.push(...result.rows);
+    }
+
+    if (created.length < total) {
+      throw new AppError('Could not generate enough unique codes - use a longer code or a different prefix', 400);
+    }
+
+    await client.query('COMMIT');
+    return created;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Generated codes of a special with their status and the order that redeemed them
+const promoCodesSql = `(
+    SELECT pc.*, r.order_id, r.redeemed_at, o.order_number,
+      CASE
+        WHEN pc.voided_at IS NOT NULL THEN 'voided'
+        WHEN r.id IS NOT NULL THEN 'redeemed'
+        ELSE 'available'
+      END as status
+    FROM promo_codes pc
+    LEFT JOIN LATERAL (
+      SELECT id, order_id, redeemed_at FROM special_redemptions
+      WHERE promo_code_id = pc.id AND voided_at IS NULL
+      ORDER BY redeemed_at ASC
+      LIMIT 1
+    ) r ON true
+    LEFT JOIN orders o ON r.order_id = o.id
+    WHERE pc.special_id = $1
+  ) codes`;
+
+// A page of a special's generated codes, optionally only one status or batch,
+// with how many there are of each status. Without a limit every code is returned.
+export const listPromoCodes = async (specialId, { status, batch, limit = null, offset = 0 } = {}) => {
+  if (status && !PROMO_CODE_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${PROMO_CODE_STATUSES.join(', ')}`, 400);
+  }
+
+  const summaryResult = await query(
+    `SELECT status, COUNT(*)::integer as count FROM ${promoCodesSql}
+     WHERE ($2::text IS NULL OR batch = $2)
+     GROUP BY status`,
+    [specialId, batch || null]
+  );
+  const summary = Object.fromEntries(PROMO_CODE_STATUSES.map(name => [
+    name,
+    summaryResult.rows.find(row => row.status === name)?.count || 0,
+  ]));
+
+  const result = await query(
+    `SELECT * FROM ${promoCodesSql}
+     WHERE ($2::text IS NULL OR batch = $2) AND ($3::text IS NULL OR status = $3)
+     ORDER BY created_at ASC, id ASC
+     LIMIT $4 OFFSET $5`,
+    [specialId, batch || null, status || null, limit, offset]
+  );
+
+  return {
+    codes: result.rows,
+    total: status ? summary[status] : PROMO_CODE_STATUSES.reduce((sum, name) => sum + summary[name], 0),
+    summary,
+  };
+};
+
+// Stop a generated code from being used. Orders that already used it keep
+// their discount.
+export const voidPromoCode = async (specialId, codeId, reason = null) => {
+  const result = await query(
+    `UPDATE promo_codes SET voided_at = NOW(), void_reason = $3
+     WHERE id = $1 AND special_id = $2 AND voided_at IS NULL
+     RETURNING *`,
+    [codeId, specialId, reason]
+  );
+
+  if (result.rows.length === 0) {
+    const existing = await query('SELECT id FROM promo_codes WHERE id = $1 AND special_id = $2', [codeId, specialId]);
+    throw existing.rows.length === 0
+      ? new AppError('Promo code not found', 404)
+      : new AppError('Promo code is already voided', 400);
+  }
+
+  return result.rows[0];
+};
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatTimestamp = (value) => (value ? new Date(value).toISOString() : '');
+
+// One row per code, as listed by listPromoCodes
+export const promoCodesToCsv = (codes) => {
+  const rows = [['Code', 'Batch', 'Status', 'Created', 'Redeemed', 'Order', 'Voided', 'Void Reason']];
+
+  for (const code of codes) {
+    rows.push([
+      code.code,
+      code.batch || '',
+      code.status,
+      formatTimestamp(code.created_at),
+      formatTimestamp(code.redeemed_at),
+      code.order_number || '',
+      formatTimestamp(code.voided_at),
+      code.void_reason || '',
+    ]);
+  }
+
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
+
+export default {
+  MAX_CODES_PER_BATCH,
+  PROMO_CODE_STATUSES,
+  generatePromoCodes,
+  listPromoCodes,
+  voidPromoCode,
+  promoCodesToCsv,
+};
@@ -0,0 +1,233 @@
+import { query, getClient } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const INGREDIENT_UNITS = ['g', 'kg', 'oz', 'lb', 'ml', 'l', 'each'];
+
+// Grams per unit, for putting label ingredients in order of weight.
+// Liquids are treated as water (1 ml = 1 g); 'each' uses the ingredient's grams_per_unit.
+const UNIT_GRAMS = { g: 1, kg: 1000, oz: 28.3495, lb: 453.592, ml: 1, l: 1000 };
+
+// Ingredient amounts are DECIMAL(12, 3)
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const toOptionalNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+// Validate an ingredient from the request body. Fields missing from the body
+// fall back to `current` (the saved row when updating). Returns column values.
+export const validateIngredient = (body, current = {}) => {
+  const pick = (key) => (body[key] !== undefined ? body[key] : current[key]);
+
+  const ingredient = {
+    name: pick('name'),
+    labelName: pick('label_name') || null,
+    unit: pick('unit') ?? 'g',
+    gramsPerUnit: toOptionalNumber(pick('grams_per_unit')),
+    reorderPoint: toOptionalNumber(pick('reorder_point')),
+    reorderQuantity: toOptionalNumber(pick('reorder_quantity')),
+    costPerUnit: toOptionalNumber(pick('cost_per_unit')),
+    active: Boolean(body.active ?? current.active ?? true),
+  };
+
+  if (!ingredient.name) {
+    throw new AppError('Ingredient name is required', 400);
+  }
+  if (!INGREDIENT_UNITS.includes(ingredient.unit)) {
+    throw new AppError(`Unit must be one of: ${INGREDIENT_UNITS.join(', ')}`, 400);
+  }
+
+  for (const key of ['gramsPerUnit', 'reorderPoint', 'reorderQuantity', 'costPerUnit']) {
+    if (ingredient[key] !== null && !(ingredient[key] >= 0)) {
+      throw new AppError('Amounts and costs must be numbers of at least 0', 400);
+    }
+  }
+
+  if (ingredient.unit !== 'each') {
+    ingredient.gramsPerUnit = null;
+  }
+
+  return ingredient;
+};
+
+// Recipe lines for products, with ingredient details, keyed by product id
+export const getRecipeLines = async (productIds, db = { query }) => {
+  const result = await db.query(
+    `SELECT r.id, r.product_id, r.variant_id, r.ingredient_id, r.quantity,
+            i.name, i.label_name, i.unit, i.grams_per_unit, i.on_hand, i.cost_per_unit
+     FROM recipe_lines r
+     JOIN ingredients i ON i.id = r.ingredient_id
+     WHERE r.product_id = ANY($1)
+     ORDER BY r.id`,
+    [productIds]
+  );
+
+  const byProduct = new Map();
+  for (const row of result.rows) {
+    if (!byProduct.has(row.product_id)) {
+      byProduct.set(row.product_id, []);
+    }
+    byProduct.get(row.product_id).push({ ...row, quantity: parseFloat(row.quantity) });
+  }
+
+  return byProduct;
+};
+
+// The lines that make one unit of a product or variant: the variant's own
+// lines when it has any, otherwise the product's
+export const linesForItem = (recipeLines, { productId, variantId }) => {
+  const lines = recipeLines.get(productId) || [];
+  const variantLines = variantId ? lines.filter(line => line.variant_id === variantId) : [];
+
+  return variantLines.length > 0 ? variantLines : lines.filter(line => line.variant_id === null);
+};
+
+// Total ingredients needed for items ({ productId, variantId, quantity }),
+// keyed by ingredient id
+export const calculateIngredientNeeds = async (items, db = { query }) => {
+  const productIds = [...new Set(items.map(item => item.productId).filter(Boolean))];
+  const recipeLines = await getRecipeLines(productIds, db);
+  const needs = new Map();
+
+  for (const item of items) {
+    if (!item.productId) continue;
+
+    for (const line of linesForItem(recipeLines, item)) {
+      const need = needs.get(line.ingredient_id) || {
+        ingredientId: line.ingredient_id,
+        name: line.name,
+        unit: line.unit,
+        onHand: parseFloat(line.on_hand),
+        quantity: 0,
+      };
+      need.quantity = roundQuantity(need.quantity + line.quantity * item.quantity);
+      needs.set(line.ingredient_id, need);
+    }
+  }
+
+  return needs;
+};
+
+// Write an ingredient stock change and its ledger entry
+const moveIngredient = async (client, ingredientId, change, { reason, orderId = null, note = null, userId = null }) => {
+  const result = await client.query(
+    'UPDATE ingredients SET on_hand = on_hand + $1 WHERE id = $2 RETURNING on_hand',
+    [change, ingredientId]
+  );
+
+  await client.query(
+    `INSERT INTO ingredient_movements (ingredient_id, order_id, quantity_change, on_hand_after, reason, note, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [ingredientId, orderId, change, result.rows[0].on_hand, reason, note, userId]
+  );
+
+  return result.rows[0].on_hand;
+};
+
+// Net ingredient usage already recorded against an order, keyed by ingredient id
+const getOrderUsage = async (client, orderId) => {
+  const result = await client.query(
+    `SELECT ingredient_id, -SUM(quantity_change) as used
+     FROM ingredient_movements
+     WHERE order_id = $1 AND reason IN ('usage', 'cancellation')
+     GROUP BY ingredient_id`,
+    [orderId]
+  );
+
+  return new Map(result.rows.map(row => [row.ingredient_id, parseFloat(row.used)]));
+};
+
+// Take the ingredients for a confirmed order's items. Safe to call more than
+// once - an order is only ever charged for its ingredients once.
+// Call inside a transaction.
+export const deductIngredientsForOrder = async (client, orderId) => {
+  const usage = await getOrderUsage(client, orderId);
+  if (usage.size > 0) return;
+
+  const result = await client.query(
+    'SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = $1',
+    [orderId]
+  );
+  const items = result.rows.map(row => ({ productId: row.product_id, variantId: row.variant_id, quantity: row.quantity }));
+  const needs = await calculateIngredientNeeds(items, client);
+
+  // Lock in id order so concurrent orders can't deadlock
+  for (const need of [...needs.values()].sort((a, b) => a.ingredientId - b.ingredientId)) {
+    await moveIngredient(client, need.ingredientId, -need.quantity, { reason: 'usage', orderId });
+  }
+};
+
+// Give back the ingredients of an order cancelled before it was made
+export const returnIngredientsForOrder = async (client, orderId, { userId = null } = {}) => {
+  const usage = await getOrderUsage(client, orderId);
+
+  for (const [ingredientId, used] of [...usage].sort((a, b) => a[0] - b[0])) {
+    if (used > 0) {
+      await moveIngredient(client, ingredientId, used, { reason: 'cancellation', orderId, userId });
+    }
+  }
+};
+
+// Record a delivery or stock count. Pass quantity for an absolute on-hand
+// count or change for a relative adjustment.
+export const adjustIngredientStock = async (ingredientId, { quantity, change, reason = 'adjustment', note, userId }) => {
+  if (!['purchase', 'adjustment'].includes(reason)) {
+    throw new AppError('Reason must be purchase or adjustment', 400);
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT on_hand FROM ingredients WHERE id = $1 FOR UPDATE', [ingredientId]);
+    if (existing.rows.length === 0) {
+      throw new AppError('Ingredient not found', 404);
+    }
+
+    let delta;
+    if (quantity !== undefined) {
+      if (!(typeof quantity === 'number' && quantity >= 0)) {
+        throw new AppError('Quantity must be a number of at least 0', 400);
+      }
+      delta = roundQuantity(quantity - parseFloat(existing.rows[0].on_hand));
+    } else if (typeof change === 'number' && !Number.isNaN(change)) {
+      delta = change;
+    } else {
+      throw new AppError('Quantity or change is required', 400);
+    }
+
+    const onHand = await moveIngredient(client, ingredientId, delta, { reason, note: note || null, userId: userId || null });
+
+    await client.query('COMMIT');
+
+    return parseFloat(onHand);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Ingredient list for a product label, heaviest first (by weight in the recipe)
+export const deriveIngredientsText = (lines) => {
+  return lines
+    .map(line => ({
+      name: line.label_name || line.name,
+      grams: line.quantity * (line.unit === 'each' ? parseFloat(line.grams_per_unit || 0) : UNIT_GRAMS[line.unit]),
+    }))
+    .sort((a, b) => b.grams - a.grams)
+    .map(line => line.name)
+    .join(', ');
+};
+
+export default {
+  INGREDIENT_UNITS,
+  validateIngredient,
+  getRecipeLines,
+  linesForItem,
+  calculateIngredientNeeds,
+  deductIngredientsForOrder,
+  returnIngredientsForOrder,
+  adjustIngredientStock,
+  deriveIngredientsText,
+};
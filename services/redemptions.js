@@ -0,0 +1,143 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Unvoided uses of a special by one customer, matched on customer id or email
+const countCustomerRedemptions = async (db, specialId, { customerId, email }) => {
+  const result = await db.query(
+    `SELECT COUNT(*) FROM special_redemptions
+     WHERE special_id = $1 AND voided_at IS NULL
+     AND (customer_id = $2 OR LOWER(customer_email) = LOWER($3))`,
+    [specialId, customerId || null, email || null]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+const perCustomerMessage = (special) => {
+  const limit = special.max_uses_per_customer;
+  return limit === 1
+    ? 'This promo code can only be used once per customer'
+    : `This promo code can only be used ${limit} times per customer`;
+};
+
+// Reject a promo code the customer has already used up. The overall limit is
+// part of the code lookup (used_count < max_uses); this is the per-customer one.
+export const requireCustomerAllowance = async (special, { customerId, email } = {}) => {
+  if (!special.max_uses_per_customer) return;
+
+  if (!customerId && !email) {
+    throw new AppError('An email address is required to use this promo code', 400);
+  }
+
+  const used = await countCustomerRedemptions({ query }, special.id, { customerId, email });
+  if (used >= special.max_uses_per_customer) {
+    throw new AppError(perCustomerMessage(special), 400);
+  }
+};
+
+// Recount specials.used_count from the ledger. Call inside a transaction.
+const syncUsedCount = async (client, specialId) => {
+  await client.query(
+    `UPDATE specials
+     SET used_count = (SELECT COUNT(*) FROM special_redemptions WHERE special_id = $1 AND voided_at IS NULL)
+     WHERE id = $1`,
+    [specialId]
+  );
+};
+
+// Record the promo code on a confirmed order, with the code's own share of the
+// order's discount. Call inside a transaction - the special is locked so
+// concurrent orders can't both take its last use.
+// Limits (and that a generated code is still unused) are rechecked unless
+// strict is false (payment has already been taken).
+// Safe to call again for the same order.
+export const recordRedemption = async (client, orderId, { strict = true } = {}) => {
+  const orderResult = await client.query(
+    'SELECT id, special_id, promo_code, customer_id, customer_email, promo_discount FROM orders WHERE id = $1',
+    [orderId]
+  );
+  const order = orderResult.rows[0];
+  if (!order?.special_id) return null;
+
+  const specialResult = await client.query('SELECT * FROM specials WHERE id = $1 FOR UPDATE', [order.special_id]);
+  const special = specialResult.rows[0];
+  if (!special) return null;
+
+  const existing = await client.query('SELECT * FROM special_redemptions WHERE order_id = $1', [orderId]);
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  // Generated codes are single-use; the lock stops two orders sharing one
+  const promoCodeResult = await client.query(
+    'SELECT id, code, voided_at FROM promo_codes WHERE code = $1 AND special_id = $2 FOR UPDATE',
+    [order.promo_code, special.id]
+  );
+  const promoCode = promoCodeResult.rows[0] || null;
+  let promoCodeId = promoCode?.id || null;
+
+  if (promoCode) {
+    if (strict && promoCode.voided_at) {
+      throw new AppError(`Promo code ${promoCode.code} has been voided`, 400);
+    }
+
+    const used = await client.query(
+      'SELECT 1 FROM special_redemptions WHERE promo_code_id = $1 AND voided_at IS NULL',
+      [promoCode.id]
+    );
+    if (used.rows.length > 0) {
+      if (strict) {
+        throw new AppError(`Promo code ${promoCode.code} has already been used`, 400);
+      }
+      // Checkout holds the code until it's paid for, so this only happens if
+      // payment came in after the hold ran out. The order keeps its discount,
+      // but the code stays with the order that redeemed it first.
+      promoCodeId = null;
+    }
+  }
+
+  if (strict) {
+    if (special.max_uses !== null && special.used_count >= special.max_uses) {
+      throw new AppError(`Promo code ${special.code} has been used up`, 400);
+    }
+
+    if (special.max_uses_per_customer) {
+      const used = await countCustomerRedemptions(client, special.id, {
+        customerId: order.customer_id,
+        email: order.customer_email,
+      });
+      if (used >= special.max_uses_per_customer) {
+        throw new AppError(perCustomerMessage(special), 400);
+      }
+    }
+  }
+
+  const result = await client.query(
+    `INSERT INTO special_redemptions (special_id, order_id, code, customer_id, customer_email, discount_amount, promo_code_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [special.id, order.id, order.promo_code || special.code, order.customer_id, order.customer_email, order.promo_discount || 0, promoCodeId]
+  );
+
+  await syncUsedCount(client, special.id);
+
+  return result.rows[0];
+};
+
+// Give a promo code use back when its order is cancelled or fully refunded.
+// Call inside a transaction.
+export const voidRedemption = async (client, orderId, reason = null) => {
+  const result = await client.query(
+    `UPDATE special_redemptions
+     SET voided_at = NOW(), void_reason = $2
+     WHERE order_id = $1 AND voided_at IS NULL
+     RETURNING *`,
+    [orderId, reason]
+  );
+
+  const redemption = result.rows[0];
+  if (redemption?.special_id) {
+    await syncUsedCount(client, redemption.special_id);
+  }
+
+  return redemption || null;
+};
+
+export default { requireCustomerAllowance, recordRedemption, voidRedemption };
@@ -0,0 +1,327 @@
+import stripe from '../config/stripe.js';
+import { query, getClient } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toCents, toDollars } from './money.js';
+import { canTransition, transitionOrderStatus } from './orderStatus.js';
+import { restockOrderItems } from './inventory.js';
+import { voidRedemption } from './redemptions.js';
+
+// Refund statuses that count against an order (failed/canceled refunds returned no money)
+export const ACTIVE_REFUND_STATUSES = ['pending', 'requires_action', 'succeeded'];
+
+// Amount to refund for `quantity` of an order line: the line's share of the
+// discount comes off, and the tax charged on what remains goes back. Lines
+// from before discount and tax were stored per line share the order's out in
+// proportion to their price.
+export const calculateItemRefundCents = (order, line, quantity) => {
+  if (line.tax_amount !== null && line.tax_amount !== undefined) {
+    const lineNetCents = toCents(line.total_price) - toCents(line.discount_amount || 0) + toCents(line.tax_amount);
+    return Math.round((lineNetCents * quantity) / line.quantity);
+  }
+
+  const grossCents = toCents(line.unit_price) * quantity;
+  const subtotalCents = toCents(order.subtotal);
+  if (subtotalCents <= 0) return 0;
+
+  const discountCents = toCents(order.discount || 0);
+  const taxableCents = subtotalCents - discountCents;
+  const netCents = grossCents - Math.round((discountCents * grossCents) / subtotalCents);
+  const taxCents = taxableCents > 0 ? Math.round((toCents(order.tax) * netCents) / taxableCents) : 0;
+
+  return netCents + taxCents;
+};
+
+// Order items with the quantity that has not been refunded yet
+const getRefundableItems = async (client, orderId) => {
+  const result = await client.query(
+    `SELECT oi.*,
+            oi.quantity - COALESCE(SUM(ri.quantity) FILTER (WHERE r.status = ANY($2)), 0) as refundable_quantity
+     FROM order_items oi
+     LEFT JOIN refund_items ri ON ri.order_item_id = oi.id
+     LEFT JOIN refunds r ON r.id = ri.refund_id
+     WHERE oi.order_id = $1
+     GROUP BY oi.id
+     ORDER BY oi.id`,
+    [orderId, ACTIVE_REFUND_STATUSES]
+  );
+
+  return result.rows.map(row => ({ ...row, refundable_quantity: parseInt(row.refundable_quantity) }));
+};
+
+// Recalculate orders.refunded_total from the refunds table and cancel the
+// order once everything has been refunded (if it can still be cancelled -
+// a completed order keeps its status). Call inside a transaction.
+export const syncOrderRefundTotal = async (client, orderId, { changedBy = null, source = 'system', restock = true } = {}) => {
+  const result = await client.query(
+    `UPDATE orders
+     SET refunded_total = COALESCE((
+       SELECT SUM(amount) FROM refunds WHERE order_id = $1 AND status = ANY($2)
+     ), 0)
+     WHERE id = $1
+     RETURNING *`,
+    [orderId, ACTIVE_REFUND_STATUSES]
+  );
+
+  let order = result.rows[0];
+
+  // A fully refunded order doesn't use up its promo code, even once completed
+  if (toCents(order.refunded_total) >= toCents(order.total)) {
+    await voidRedemption(client, orderId, 'Order fully refunded');
+  }
+
+  if (toCents(order.refunded_total) >= toCents(order.total) && canTransition(order.status, 'cancelled')) {
+    order = await transitionOrderStatus(client, orderId, 'cancelled', {
+      changedBy,
+      source,
+      restock,
+      reason: 'Order fully refunded',
+    });
+  }
+
+  return order;
+};
+
+// Work out what a refund covers and record it as pending, with its lines,
+// so the amount and lines are claimed before Stripe is asked for the money
+const recordPendingRefund = async (orderId, { items, amount, reason, userId }) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the order so two refunds (or a refund and a webhook) can't race
+    const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    if (orderResult.rows.length === 0) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const order = orderResult.rows[0];
+
+    if (!order.stripe_payment_intent) {
+      throw new AppError('Order has no Stripe payment to refund', 400);
+    }
+
+    // Counted from the refunds themselves so refunds still waiting on Stripe are included
+    const refundedResult = await client.query(
+      'SELECT COALESCE(SUM(amount), 0) as refunded FROM refunds WHERE order_id = $1 AND status = ANY($2)',
+      [order.id, ACTIVE_REFUND_STATUSES]
+    );
+    const remainingCents = toCents(order.total) - toCents(refundedResult.rows[0].refunded);
+    if (remainingCents <= 0) {
+      throw new AppError('Order has already been fully refunded', 400);
+    }
+
+    const refundable = await getRefundableItems(client, order.id);
+    let refundItems = [];
+    let amountCents;
+
+    if (Array.isArray(items) && items.length > 0) {
+      for (const item of items) {
+        const orderItemId = parseInt(item.order_item_id ?? item.orderItemId ?? item.id);
+        const quantity = parseInt(item.quantity);
+        const line = refundable.find(l => l.id === orderItemId);
+
+        if (!line) {
+          throw new AppError(`Order item ${orderItemId} not found on this order`, 400);
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          throw new AppError('Refund quantities must be whole numbers of at least 1', 400);
+        }
+        if (quantity > line.refundable_quantity) {
+          throw new AppError(`Only ${line.refundable_quantity} of ${line.product_name} can still be refunded`, 400);
+        }
+
+        refundItems.push({
+          orderItemId,
+          quantity,
+          amountCents: calculateItemRefundCents(order, line, quantity),
+        });
+      }
+
+      amountCents = Math.min(
+        refundItems.reduce((sum, item) => sum + item.amountCents, 0),
+        remainingCents
+      );
+    } else if (amount !== undefined && amount !== null) {
+      amountCents = toCents(amount);
+
+      if (!(amountCents > 0)) {
+        throw new AppError('Refund amount must be greater than zero', 400);
+      }
+      if (amountCents > remainingCents) {
+        throw new AppError(`Refund cannot exceed the remaining $${toDollars(remainingCents).toFixed(2)}`, 400);
+      }
+    } else {
+      amountCents = remainingCents;
+      refundItems = refundable
+        .filter(line => line.refundable_quantity > 0)
+        .map(line => ({
+          orderItemId: line.id,
+          quantity: line.refundable_quantity,
+          amountCents: calculateItemRefundCents(order, line, line.refundable_quantity),
+        }));
+    }
+
+    const refundResult = await client.query(
+      `INSERT INTO refunds (order_id, amount, reason, status, source, created_by)
+       VALUES ($1, $2, $3, 'pending', 'admin', $4)
+       RETURNING *`,
+      [order.id, toDollars(amountCents).toFixed(2), reason || null, userId || null]
+    );
+
+    const refund = refundResult.rows[0];
+
+    for (const item of refundItems) {
+      await client.query(
+        `INSERT INTO refund_items (refund_id, order_item_id, quantity, amount)
+         VALUES ($1, $2, $3, $4)`,
+        [refund.id, item.orderItemId, item.quantity, toDollars(item.amountCents).toFixed(2)]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return { order, refund, refundItems };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Refund statuses Stripe can leave a refund in without returning any money
+const UNSUCCESSFUL_REFUND_STATUSES = ['failed', 'canceled'];
+
+// Issue a refund through Stripe and record it.
+// - items: [{ orderItemId, quantity }] refunds those lines (with their share of discount and tax)
+// - amount: a custom dollar amount not tied to specific lines
+// - neither: refunds whatever has not been refunded yet
+// Refunded items go back into stock unless restock is false (e.g. the cake was eaten).
+// The refund is recorded as pending before Stripe is called, so a concurrent
+// refund can't claim the same money or lines while we wait on Stripe, and
+// finalised once Stripe has answered.
+export const createRefund = async (orderId, { items, amount, reason, restock = true, userId } = {}) => {
+  const { order, refund, refundItems } = await recordPendingRefund(orderId, { items, amount, reason, userId });
+
+  let stripeRefund;
+  try {
+    // Keyed on our refund so a retried request can never refund twice
+    stripeRefund = await stripe.refunds.create({
+      payment_intent: order.stripe_payment_intent,
+      amount: toCents(refund.amount),
+      metadata: {
+        orderId: String(order.id),
+        orderNumber: order.order_number,
+        refundId: String(refund.id),
+        reason: reason || '',
+      },
+    }, {
+      idempotencyKey: `refund-${refund.id}`,
+    });
+  } catch (error) {
+    // Free the amount and lines up again. If Stripe did take the refund after
+    // all, its webhook links it back to this row by the refundId in its metadata.
+    await query(
+      `UPDATE refunds SET status = 'failed' WHERE id = $1 AND stripe_refund_id IS NULL`,
+      [refund.id]
+    ).catch(err => console.error('Failed to mark refund as failed:', err));
+    throw error;
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('SELECT id FROM orders WHERE id = $1 FOR UPDATE', [order.id]);
+
+    const refundResult = await client.query(
+      `UPDATE refunds SET stripe_refund_id = $2, status = $3
+       WHERE id = $1
+       RETURNING *`,
+      [refund.id, stripeRefund.id, stripeRefund.status]
+    );
+
+    if (restock && refundItems.length > 0 && !UNSUCCESSFUL_REFUND_STATUSES.includes(stripeRefund.status)) {
+      await restockOrderItems(client, order.id, refundItems, { reason: 'refund', userId });
+    }
+
+    const updatedOrder = await syncOrderRefundTotal(client, order.id, { changedBy: userId, source: 'admin', restock });
+
+    await client.query('COMMIT');
+
+    return { refund: refundResult.rows[0], items: refundItems, order: updatedOrder };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Bring our refunds in line with Stripe for a payment intent. Picks up refunds
+// issued from the Stripe dashboard and status changes on ones we issued.
+export const reconcilePaymentIntentRefunds = async (paymentIntentId) => {
+  if (!paymentIntentId) return null;
+
+  const stripeRefunds = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT id FROM orders WHERE stripe_payment_intent = $1 FOR UPDATE',
+      [paymentIntentId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      await client.query('COMMIT');
+      console.warn('No order found for refunded payment intent:', paymentIntentId);
+      return null;
+    }
+
+    const orderId = orderResult.rows[0].id;
+
+    for (const stripeRefund of stripeRefunds.data) {
+      // A refund we issued that its request never got to record (it timed out,
+      // or this webhook beat it) - attach it to the pending row it was issued for
+      const refundId = parseInt(stripeRefund.metadata?.refundId);
+      if (refundId) {
+        await client.query(
+          `UPDATE refunds SET stripe_refund_id = $3
+           WHERE id = $1 AND order_id = $2 AND stripe_refund_id IS NULL`,
+          [refundId, orderId, stripeRefund.id]
+        );
+      }
+
+      await client.query(
+        `INSERT INTO refunds (order_id, stripe_refund_id, amount, reason, status, source)
+         VALUES ($1, $2, $3, $4, $5, 'stripe')
+         ON CONFLICT (stripe_refund_id) DO UPDATE SET status = EXCLUDED.status`,
+        [
+          orderId,
+          stripeRefund.id,
+          toDollars(stripeRefund.amount).toFixed(2),
+          stripeRefund.metadata?.reason || stripeRefund.reason || null,
+          stripeRefund.status,
+        ]
+      );
+    }
+
+    const order = await syncOrderRefundTotal(client, orderId, { source: 'stripe' });
+
+    await client.query('COMMIT');
+
+    return order;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+export default { ACTIVE_REFUND_STATUSES, calculateItemRefundCents, syncOrderRefundTotal, createRefund, reconcilePaymentIntentRefunds };
@@ -0,0 +1,81 @@
+import { query } from '../config/database.js';
+
+// Default settings
+export const defaultSettings = {
+  bakery_name: 'Llama Treats Bakery',
+  tagline: 'Handcrafted with love',
+  phone: '(555) 123-4567',
+  email: 'hello@llamatreats.com',
+  address: '123 Baker Street, Llamaville, CA 90210',
+  hours: {
+    monday: { open: '07:00', close: '18:00', closed: false },
+    tuesday: { open: '07:00', close: '18:00', closed: false },
+    wednesday: { open: '07:00', close: '18:00', closed: false },
+    thursday: { open: '07:00', close: '18:00', closed: false },
+    friday: { open: '07:00', close: '19:00', closed: false },
+    saturday: { open: '08:00', close: '17:00', closed: false },
+    sunday: { open: '09:00', close: '15:00', closed: false },
+  },
+  social: {
+    facebook: '',
+    instagram: '',
+    twitter: '',
+    tiktok: '',
+  },
+  notifications: {
+    email_new_order: true,
+    email_low_stock: true,
+    sms_new_order: false,
+  },
+  theme: {
+    primary_color: '#8B4513',
+    secondary_color: '#DEB887',
+    accent_color: '#CD853F',
+  },
+  tax: {
+    label: 'Sales Tax',
+    pickup_rate: 0.085, // Rate at the shop address, used for pickup orders
+    default_delivery_rate: 0.085, // Delivery addresses not covered by delivery_rates
+    delivery_rates: [], // [{ name: 'Los Angeles County', zip_codes: ['90210'], rate: 0.095 }]
+    exempt_category_ids: [], // Categories that are never taxed
+    exempt_customer_ids: [], // Tax-exempt wholesale customer accounts (admin only)
+    exempt_customer_emails: [], // Emails of tax-exempt customer accounts (admin only)
+  },
+  delivery: {
+    origin: { latitude: null, longitude: null }, // Bakery location, needed for radius zones
+    // Zones are opt-in: with none, every address is delivered to for default_fee.
+    // Zones are matched in order. Each has either zip_codes or radius_miles: { min, max },
+    // e.g. { name: 'Local', zip_codes: ['90210'], fee: 5, min_order: 0, free_delivery_threshold: 30 }.
+    // fee, min_order and free_delivery_threshold are in dollars.
+    default_fee: 5,
+    zones: [],
+  },
+  inventory: {
+    low_stock_threshold: 5, // Tracked items at or below this show as low stock
+  },
+  pickup: {
+    slot_minutes: 15, // Length of each pickup slot
+    lead_time_minutes: 60, // Prep time needed before the earliest pickup
+    capacity_per_slot: 4, // Orders the counter can hand out per slot
+    max_days_ahead: 14, // How far ahead customers can book
+  },
+};
+
+// Get a single setting, falling back to its default when it has never been saved
+export const getSetting = async (key) => {
+  const result = await query('SELECT value FROM settings WHERE key = $1', [key]);
+
+  if (result.rows.length === 0) {
+    return defaultSettings[key];
+  }
+
+  // Fill in keys added to the defaults after the setting was saved
+  const value = result.rows[0].value;
+  if (value && typeof value === 'object' && !Array.isArray(value) && defaultSettings[key]) {
+    return { ...defaultSettings[key], ...value };
+  }
+
+  return value;
+};
+
+export default { defaultSettings, getSetting };
@@ -0,0 +1,122 @@
+import { query } from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getSetting } from './settings.js';
+import { allocateCents } from './money.js';
+import { productCategoriesAndAncestorsSql } from './categories.js';
+
+const isValidRate = (rate) => typeof rate === 'number' && rate >= 0 && rate < 1;
+
+// Validate the `tax` setting before it is saved
+export const validateTaxSettings = (value) => {
+  if (!value || typeof value !== 'object') {
+    throw new AppError('Tax settings must be an object', 400);
+  }
+
+  for (const key of ['pickup_rate', 'default_delivery_rate']) {
+    if (value[key] !== undefined && !isValidRate(value[key])) {
+      throw new AppError(`${key} must be a decimal rate between 0 and 1 (e.g. 0.085 for 8.5%)`, 400);
+    }
+  }
+
+  for (const key of ['delivery_rates', 'exempt_category_ids', 'exempt_customer_ids', 'exempt_customer_emails']) {
+    if (value[key] !== undefined && !Array.isArray(value[key])) {
+      throw new AppError(`${key} must be an array`, 400);
+    }
+  }
+
+  for (const rule of value.delivery_rates || []) {
+    if (!rule || !Array.isArray(rule.zip_codes) || rule.zip_codes.length === 0) {
+      throw new AppError('Each delivery tax rate needs a list of zip_codes', 400);
+    }
+    if (!isValidRate(rule.rate)) {
+      throw new AppError(`Delivery tax rate for ${rule.name || rule.zip_codes.join(', ')} must be between 0 and 1`, 400);
+    }
+  }
+
+  if ((value.exempt_customer_emails || []).some(email => typeof email !== 'string')) {
+    throw new AppError('exempt_customer_emails must be a list of email addresses', 400);
+  }
+};
+
+// The tax setting without the exempt customer lists, which only admins may see
+export const publicTaxSettings = (value) => {
+  if (!value || typeof value !== 'object') return value;
+
+  const { exempt_customer_ids: exemptIds, exempt_customer_emails: exemptEmails, ...rest } = value;
+  return rest;
+};
+
+// Pick the rate for where the order is fulfilled: the shop for pickup, the
+// delivery zip code's jurisdiction for delivery
+export const resolveTaxRate = (rules, { orderType, zipCode }) => {
+  if (orderType === 'delivery') {
+    const zip = String(zipCode || '').trim().slice(0, 5);
+    const rule = (rules.delivery_rates || []).find(r => r.zip_codes.map(String).includes(zip));
+
+    if (rule) {
+      return { rate: rule.rate, jurisdiction: rule.name || zip };
+    }
+    return { rate: rules.default_delivery_rate ?? rules.pickup_rate, jurisdiction: 'Delivery' };
+  }
+
+  return { rate: rules.pickup_rate, jurisdiction: 'Pickup' };
+};
+
+// Ids of the products listed in an exempt category, or in a category anywhere below one
+export const findExemptProductIds = async (productIds, exemptCategoryIds) => {
+  if (productIds.length === 0 || exemptCategoryIds.length === 0) return [];
+
+  const result = await query(
+    `SELECT p.id FROM products p
+     WHERE p.id = ANY($1)
+     AND EXISTS (SELECT 1 FROM ${productCategoriesAndAncestorsSql('p.id')} c WHERE c.id = ANY($2))`,
+    [productIds, exemptCategoryIds]
+  );
+  return result.rows.map(row => row.id);
+};
+
+// Calculate tax for priced cart lines. This is the only place tax is worked
+// out - every route that creates an order goes through it.
+// Lines need { productId, lineTotalCents }. Lines priced by the discount
+// engine carry their own discountCents; otherwise an order-level discount is
+// spread across lines in proportion to their totals before tax is applied.
+// lineTaxCents is each line's share of the tax, adding up to taxCents.
+// Exemptions only apply to a signed-in customer (req.customer) - ids and
+// emails typed into a checkout form prove nothing.
+export const calculateTax = async ({ lines, discountCents = 0, orderType, zipCode, customer = null }) => {
+  const rules = await getSetting('tax');
+  const { rate, jurisdiction } = resolveTaxRate(rules, { orderType, zipCode });
+
+  const exemptCustomer = Boolean(customer) && (
+    (rules.exempt_customer_ids || []).map(Number).includes(customer.id) ||
+    (rules.exempt_customer_emails || []).map(e => String(e).toLowerCase()).includes(String(customer.email).toLowerCase())
+  );
+
+  const exemptProductIds = exemptCustomer ? [] : await findExemptProductIds(
+    [...new Set(lines.map(line => line.productId))],
+    (rules.exempt_category_ids || []).map(Number)
+  );
+  const lineDiscounts = lines.some(line => line.discountCents !== undefined)
+    ? lines.map(line => line.discountCents || 0)
+    : allocateCents(discountCents, lines.map(line => line.lineTotalCents));
+
+  const lineTaxableCents = lines.map((line, index) => (
+    exemptCustomer || exemptProductIds.includes(line.productId)
+      ? 0
+      : Math.max(line.lineTotalCents - lineDiscounts[index], 0)
+  ));
+  const taxableCents = lineTaxableCents.reduce((sum, cents) => sum + cents, 0);
+  const taxCents = Math.round(taxableCents * rate);
+
+  return {
+    label: rules.label || 'Sales Tax',
+    rate,
+    jurisdiction,
+    exempt: Boolean(exemptCustomer),
+    taxableCents,
+    taxCents,
+    lineTaxCents: allocateCents(taxCents, lineTaxableCents),
+  };
+};
+
+export default { validateTaxSettings, publicTaxSettings, resolveTaxRate, findExemptProductIds, calculateTax };
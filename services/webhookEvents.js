@@ -0,0 +1,91 @@
+import { query } from '../config/database.js';
+import { fulfillCheckoutSession } from './fulfillment.js';
+import { reconcilePaymentIntentRefunds } from './refunds.js';
+
+// Create the order once a checkout session has actually been paid
+const handleCheckoutSessionCompleted = async (event) => {
+  const session = event.data.object;
+
+  // Delayed payment methods complete the session before the money arrives
+  if (session.payment_status !== 'paid') {
+    console.log('Checkout session completed but not yet paid:', session.id);
+    return;
+  }
+
+  const { order, created } = await fulfillCheckoutSession(session.id);
+  console.log(created
+    ? `Order ${order.order_number} created from webhook for session: ${session.id}`
+    : `Order ${order.order_number} already exists for session: ${session.id}`);
+};
+
+// Stripe event handlers keyed by event type. A handler throws to mark the
+// event failed, which makes Stripe redeliver it later.
+const stripeEventHandlers = {
+  'checkout.session.completed': handleCheckoutSessionCompleted,
+  'checkout.session.async_payment_succeeded': handleCheckoutSessionCompleted,
+  'payment_intent.succeeded': async (event) => {
+    console.log('PaymentIntent succeeded:', event.data.object.id);
+  },
+  'payment_intent.payment_failed': async (event) => {
+    console.error('Payment failed:', event.data.object.id);
+  },
+  // Refunds issued (or updated) in the Stripe dashboard
+  'charge.refunded': async (event) => {
+    await reconcilePaymentIntentRefunds(event.data.object.payment_intent);
+  },
+  'charge.refund.updated': async (event) => {
+    await reconcilePaymentIntentRefunds(event.data.object.payment_intent);
+  },
+};
+
+// Store a verified Stripe event. Redeliveries of the same event return the
+// existing row so its status can be checked before processing again.
+export const recordStripeEvent = async (event) => {
+  const inserted = await query(
+    `INSERT INTO webhook_events (provider, event_id, type, payload)
+     VALUES ('stripe', $1, $2, $3)
+     ON CONFLICT (event_id) DO NOTHING
+     RETURNING *`,
+    [event.id, event.type, JSON.stringify(event)]
+  );
+
+  if (inserted.rows.length > 0) {
+    return inserted.rows[0];
+  }
+
+  const existing = await query('SELECT * FROM webhook_events WHERE event_id = $1', [event.id]);
+  return existing.rows[0];
+};
+
+// Run the handler for a stored event and record the outcome on its row
+export const processWebhookEvent = async (webhookEvent) => {
+  const handler = stripeEventHandlers[webhookEvent.type];
+  let status = 'processed';
+  let errorMessage = null;
+
+  if (!handler) {
+    console.log(`Unhandled event type: ${webhookEvent.type}`);
+    status = 'ignored';
+  } else {
+    try {
+      await handler(webhookEvent.payload);
+    } catch (err) {
+      console.error(`Failed to process webhook event ${webhookEvent.event_id}:`, err);
+      status = 'failed';
+      errorMessage = err.message;
+    }
+  }
+
+  const result = await query(
+    `UPDATE webhook_events
+     SET status = $1, error = $2, attempts = attempts + 1,
+         processed_at = CASE WHEN $3 THEN processed_at ELSE CURRENT_TIMESTAMP END
+     WHERE id = $4
+     RETURNING *`,
+    [status, errorMessage, status === 'failed', webhookEvent.id]
+  );
+
+  return result.rows[0];
+};
+
+export default { recordStripeEvent, processWebhookEvent };
@@ -0,0 +1,72 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import pool, { query, testConnection } from '../config/database.js';
+import { requireAvailability, availableOnSql } from '../services/availability.js';
+import { findExemptProductIds } from '../services/tax.js';
+
+// These need the database (DB_* or DATABASE_URL) and are skipped without it
+const { connected } = await testConnection();
+const skip = !connected && 'database not reachable';
+
+const suffix = `test-${Date.now()}`;
+const ids = {};
+
+const createCategory = async (name, { parentId = null, availability = null } = {}) => {
+  const result = await query(
+    'INSERT INTO categories (name, slug, parent_id, availability) VALUES ($1, $2, $3, $4) RETURNING id',
+    [name, `${name.toLowerCase()}-${suffix}`, parentId, availability]
+  );
+  return result.rows[0].id;
+};
+
+before(async () => {
+  if (skip) return;
+
+  // The product's primary category is open; its second category sits under
+  // one that is exempt from tax and closed for good
+  ids.primary = await createCategory('Primary');
+  ids.closed = await createCategory('Closed', { availability: { end_date: '2000-01-01' } });
+  ids.secondary = await createCategory('Secondary', { parentId: ids.closed });
+
+  const product = await query(
+    'INSERT INTO products (name, slug, price, category_id) VALUES ($1, $2, 5, $3) RETURNING id',
+    ['Test Cookie', `test-cookie-${suffix}`, ids.primary]
+  );
+  ids.product = product.rows[0].id;
+  await query('INSERT INTO product_categories (product_id, category_id) VALUES ($1, $2)', [ids.product, ids.secondary]);
+});
+
+after(async () => {
+  if (!skip) {
+    await query('DELETE FROM products WHERE id = $1', [ids.product]);
+    await query('DELETE FROM categories WHERE id = ANY($1)', [[ids.secondary, ids.closed, ids.primary]]);
+  }
+  await pool.end();
+});
+
+test('a product in an exempt category through a secondary category is exempt', { skip }, async () => {
+  assert.deepEqual(await findExemptProductIds([ids.product], [ids.closed]), [ids.product]);
+  assert.deepEqual(await findExemptProductIds([ids.product], [ids.secondary]), [ids.product]);
+});
+
+test('a product is not exempt when none of its categories are', { skip }, async () => {
+  const other = await createCategory('Other');
+  try {
+    assert.deepEqual(await findExemptProductIds([ids.product], [other]), []);
+  } finally {
+    await query('DELETE FROM categories WHERE id = $1', [other]);
+  }
+});
+
+test('a closed secondary category makes the product unavailable', { skip }, async () => {
+  const result = await query(
+    `SELECT ${availableOnSql('$2', '$3')} as available FROM products p WHERE p.id = $1`,
+    [ids.product, '2030-06-01', null]
+  );
+  assert.equal(result.rows[0].available, false);
+
+  await assert.rejects(
+    requireAvailability([{ productId: ids.product, name: 'Test Cookie', quantity: 1 }], { date: '2030-06-01' }),
+    { statusCode: 400 }
+  );
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseDiscounts } from '../services/discounts.js';
+
+// Specials without product or category ids cover every product, so none of
+// these need the database
+const special = (id, percentage, { stacking = 'exclusive', code = null } = {}) => ({
+  id,
+  name: code ? `Code ${code}` : `Special ${id}`,
+  code,
+  type: 'discount_percentage',
+  value: percentage,
+  stacking,
+  auto_apply: !code,
+});
+
+const lines = [
+  { productId: 1, variantId: null, name: 'Cupcake', quantity: 4, unitPriceCents: 500, lineTotalCents: 2000 },
+];
+
+test('uses the best automatic special when there is no code', async () => {
+  const discounted = await chooseDiscounts(lines, { autoSpecials: [special(1, 10), special(2, 20)] });
+
+  assert.equal(discounted.discountCents, 400);
+  assert.deepEqual(discounted.applied.map(entry => entry.special.id), [2]);
+});
+
+test('uses an exclusive code worth more than the automatic special', async () => {
+  const code = special(3, 25, { code: 'BIG' });
+  const discounted = await chooseDiscounts(lines, { autoSpecials: [special(1, 20)], codeSpecial: code });
+
+  assert.equal(discounted.discountCents, 500);
+  assert.deepEqual(discounted.applied.map(entry => entry.special), [code]);
+});
+
+test('turns down an exclusive code worth less than the automatic special', async () => {
+  await assert.rejects(
+    chooseDiscounts(lines, { autoSpecials: [special(1, 20)], codeSpecial: special(3, 5, { code: 'SMALL' }) }),
+    { statusCode: 400, message: /already saves you as much or more/ }
+  );
+});
+
+test('stacks a stackable code on top of stackable automatic specials', async () => {
+  const code = special(3, 5, { stacking: 'stackable', code: 'EXTRA' });
+  const discounted = await chooseDiscounts(lines, {
+    autoSpecials: [special(1, 10, { stacking: 'stackable' })],
+    codeSpecial: code,
+  });
+
+  // 10% off $20, then 5% off the $18 left
+  assert.equal(discounted.discountCents, 290);
+  assert.equal(discounted.applied.length, 2);
+});